@@ -0,0 +1,152 @@
+const { bidsPerCycle, priceQuote } = require('./strategies/index.js');
+
+/**
+ * Replay recorded /jobs polls through a bidding strategy.
+ *
+ * The replay mirrors earningLoop: each poll's new biddable jobs join a
+ * candidate queue, the strategy selects from it and bids up to its
+ * per-cycle cap. Capacity (maxConcurrent) is not simulated.
+ *
+ * Whether a simulated bid wins is read off our recorded outcome for the
+ * same job, assuming a lower price never loses where a higher one won:
+ *   - we won at A and the strategy bids ≤ A           → win
+ *   - we lost at A and the strategy bids ≥ A          → loss
+ *   - anything else (including jobs we never bid on)  → the recorded win
+ *     rate for the job's category, smoothed toward the overall rate
+ * Expected revenue is Σ P(win) × price, i.e. gross of disputes and refunds.
+ */
+
+const PRIOR_WEIGHT = 2;
+
+function jobIdOf(job) {
+    return job.job_id || job.id;
+}
+
+/**
+ * Collapse outcome events to one verdict per job: won (also if paid),
+ * lost, or skipped for expired bids that never got a decision.
+ */
+function indexOutcomes(outcomes) {
+    const index = new Map();
+    for (const ev of outcomes) {
+        if (ev.outcome === 'expired') continue;
+        const prev = index.get(ev.jobId) || {};
+        const won = ev.outcome === 'won' || ev.outcome === 'paid' || prev.won === true;
+        index.set(ev.jobId, {
+            won,
+            paid: ev.outcome === 'paid' || !!prev.paid,
+            amount: parseFloat(ev.amount ?? prev.amount),
+            category: ev.category || prev.category,
+        });
+    }
+    return index;
+}
+
+function winRates(index) {
+    const tally = { overall: { bids: 0, won: 0 }, byCategory: {} };
+    for (const rec of index.values()) {
+        const cat = tally.byCategory[rec.category || 'general'] ||= { bids: 0, won: 0 };
+        for (const t of [tally.overall, cat]) {
+            t.bids++;
+            if (rec.won) t.won++;
+        }
+    }
+    const overall = tally.overall.bids ? tally.overall.won / tally.overall.bids : 0;
+    // A category with one or two recorded bids should not swing to 0% or 100%
+    const smoothed = t => (t.won + PRIOR_WEIGHT * overall) / (t.bids + PRIOR_WEIGHT);
+    return {
+        overall,
+        byCategory: Object.fromEntries(Object.entries(tally.byCategory).map(([c, t]) => [c, smoothed(t)])),
+        tally,
+    };
+}
+
+function winProbability(price, recorded, category, rates) {
+    if (recorded && recorded.won && price <= recorded.amount) return { p: 1, known: true };
+    if (recorded && !recorded.won && price >= recorded.amount) return { p: 0, known: true };
+    return { p: rates.byCategory[category] ?? rates.overall, known: false };
+}
+
+function emptyBucket() {
+    return { bids: 0, known: 0, expectedWins: 0, expectedRevenue: 0, ratioSum: 0, ratioCount: 0 };
+}
+
+function addBid(bucket, { p, known, price, budget }) {
+    bucket.bids++;
+    if (known) bucket.known++;
+    bucket.expectedWins += p;
+    bucket.expectedRevenue += p * price;
+    if (budget > 0) {
+        bucket.ratioSum += price / budget;
+        bucket.ratioCount++;
+    }
+}
+
+function summarize(bucket) {
+    return {
+        bids: bucket.bids,
+        known: bucket.known,
+        expectedWins: +bucket.expectedWins.toFixed(2),
+        winRate: bucket.bids ? +(bucket.expectedWins / bucket.bids).toFixed(3) : 0,
+        expectedRevenue: +bucket.expectedRevenue.toFixed(2),
+        avgBidRatio: bucket.ratioCount ? +(bucket.ratioSum / bucket.ratioCount).toFixed(3) : 0,
+    };
+}
+
+/**
+ * @param {object} opts
+ * @param {object[]} opts.polls - poll events from loadHistory
+ * @param {object[]} opts.outcomes - outcome events from loadHistory
+ * @param {object} opts.strategy - a loaded strategy plugin
+ * @param {object} opts.config - engine config (bidStrategy, maxBidsPerCycle, …)
+ * @param {function} opts.categorize - job → category
+ * @param {function} opts.isBiddable - the engine's discovery filter
+ * @param {function} [opts.writeProposal] - passed through to the strategy context
+ */
+function runBacktest({ polls, outcomes, strategy, config, categorize, isBiddable, writeProposal }) {
+    const recorded = indexOutcomes(outcomes);
+    const rates = winRates(recorded);
+    const total = emptyBucket();
+    const byCategory = {};
+    const seen = new Set();
+    const candidates = new Map();
+    const limit = bidsPerCycle(strategy, config, Infinity);
+
+    for (const poll of polls) {
+        for (const job of poll.jobs || []) {
+            const jobId = jobIdOf(job);
+            if (seen.has(jobId)) continue;
+            seen.add(jobId);
+            if (isBiddable(job)) candidates.set(jobId, job);
+        }
+
+        const queue = [...candidates.values()].sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+        for (const job of strategy.select(queue, { config }).slice(0, limit)) {
+            const jobId = jobIdOf(job);
+            candidates.delete(jobId);
+            const category = categorize(job);
+            const price = parseFloat(priceQuote(strategy.price(job, { config, category, writeProposal })).amount);
+            const budget = parseFloat(job.budget_amount || 0);
+            const bid = { ...winProbability(price, recorded.get(jobId), category, rates), price, budget };
+            addBid(total, bid);
+            addBid(byCategory[category] ||= emptyBucket(), bid);
+        }
+    }
+
+    const actualWon = [...recorded.values()].filter(r => r.won);
+    return {
+        strategy: strategy.name,
+        polls: polls.length,
+        jobsSeen: seen.size,
+        ...summarize(total),
+        byCategory: Object.fromEntries(Object.entries(byCategory).map(([c, b]) => [c, summarize(b)])),
+        recorded: {
+            bids: rates.tally.overall.bids,
+            won: actualWon.length,
+            winRate: +rates.overall.toFixed(3),
+            paidRevenue: +actualWon.filter(r => r.paid).reduce((sum, r) => sum + r.amount, 0).toFixed(2),
+        },
+    };
+}
+
+module.exports = { runBacktest, indexOutcomes, winRates, winProbability };
@@ -0,0 +1,161 @@
+/**
+ * Win/loss analytics over resolved bids, and the adaptive pricing model.
+ *
+ * Stats are derived from the job records in STATE.jobs (whatever checkBids
+ * and sync have resolved), so there are no extra counters to keep in step.
+ * A bid is won once its record reached `awarded`, lost at `bid_rejected`;
+ * bids that expired undecided are left out.
+ */
+
+const BUDGET_BANDS = [
+    { name: '<1', max: 1 },
+    { name: '1-3', max: 3 },
+    { name: '3-10', max: 10 },
+    { name: '10+', max: Infinity },
+];
+
+const DEFAULT_PRICING = {
+    mode: 'static',     // static | adaptive
+    floor: 0.15,        // lowest bid/budget ratio adaptive pricing may choose
+    ceiling: 0.8,       // highest
+    minSamples: 5,      // resolved bids in a category before its ratio adapts
+    adaptRate: 0.5,     // fraction of the gap to the best ratio closed per update
+    step: 0.05,         // ratio grid searched for the best expected value
+};
+
+// Pseudo-observations pulling sparse categories toward the overall win rate
+const PRIOR_WEIGHT = 2;
+
+function budgetBand(budget) {
+    return BUDGET_BANDS.find(b => budget < b.max).name;
+}
+
+/**
+ * Resolved bids as { category, band, template, budget, amount, ratio, won }.
+ * Bids placed before proposal templates existed count as template 'none'.
+ */
+function resolvedBids(jobs) {
+    const bids = [];
+    for (const job of Object.values(jobs)) {
+        const history = job.history || [];
+        const won = history.some(h => h.status === 'awarded');
+        if (!won && job.status !== 'bid_rejected') continue;
+        const budget = parseFloat(job.budget || 0);
+        const amount = parseFloat(job.amount || 0);
+        bids.push({
+            category: job.category || 'general',
+            band: budgetBand(budget),
+            template: job.proposalTemplate || 'none',
+            budget,
+            amount,
+            ratio: budget > 0 ? amount / budget : null,
+            won,
+        });
+    }
+    return bids;
+}
+
+function tally(bids, keyOf) {
+    const groups = {};
+    for (const bid of bids) {
+        const g = groups[keyOf(bid)] ||= { bids: 0, won: 0 };
+        g.bids++;
+        if (bid.won) g.won++;
+    }
+    for (const g of Object.values(groups)) g.winRate = g.won / g.bids;
+    return groups;
+}
+
+/**
+ * Win rates overall, per category, per budget band and per proposal
+ * template version.
+ */
+function buildBidStats(jobs) {
+    const bids = resolvedBids(jobs);
+    const won = bids.filter(b => b.won).length;
+    return {
+        overall: { bids: bids.length, won, winRate: bids.length ? won / bids.length : 0 },
+        byCategory: tally(bids, b => b.category),
+        byBand: tally(bids, b => b.band),
+        byTemplate: tally(bids, b => b.template),
+        bids,
+    };
+}
+
+/**
+ * Estimated P(win) when bidding at `ratio` of budget, assuming a lower price
+ * never loses where a higher one won: every win at ≥ ratio and every loss at
+ * ≤ ratio is evidence, plus PRIOR_WEIGHT pseudo-bids at the prior rate.
+ */
+function winProbabilityAt(ratio, points, prior) {
+    let wins = 0;
+    let losses = 0;
+    for (const p of points) {
+        if (p.won && p.ratio >= ratio) wins++;
+        if (!p.won && p.ratio <= ratio) losses++;
+    }
+    return (wins + PRIOR_WEIGHT * prior) / (wins + losses + PRIOR_WEIGHT);
+}
+
+/**
+ * The ratio in [floor, ceiling] maximising P(win) × ratio for one category.
+ */
+function bestRatio(points, prior, { floor, ceiling, step }) {
+    let best = null;
+    for (let r = floor; r <= ceiling + 1e-9; r += step) {
+        const ratio = +r.toFixed(4);
+        const winProb = winProbabilityAt(ratio, points, prior);
+        const ev = winProb * ratio;
+        if (!best || ev > best.ev) best = { ratio, winProb, ev };
+    }
+    return best;
+}
+
+/**
+ * Move each category's adaptive ratio toward its expected-value optimum
+ * whenever it has gained resolved bids since the last update.
+ *
+ * @param {object} jobs - STATE.jobs
+ * @param {object} current - previous ratios { category: { ratio, … } }
+ * @param {object} pricing - config.pricing (merged over DEFAULT_PRICING)
+ * @param {function} staticRatio - category → the static ratio to start from
+ * @returns {object} new ratios { category: { ratio, target, winProb, samples, updatedAt } }
+ */
+function updateAdaptiveRatios(jobs, current, pricing, staticRatio) {
+    const opts = { ...DEFAULT_PRICING, ...pricing };
+    const stats = buildBidStats(jobs);
+    const next = { ...current };
+
+    for (const [category, group] of Object.entries(stats.byCategory)) {
+        // Only new resolutions move the ratio, not every cycle
+        if (group.bids < opts.minSamples || (current[category] && current[category].samples === group.bids)) continue;
+        const points = stats.bids.filter(b => b.category === category && b.ratio !== null);
+        const prior = (group.won + PRIOR_WEIGHT * stats.overall.winRate) / (group.bids + PRIOR_WEIGHT);
+        const target = bestRatio(points, prior, opts);
+        const from = current[category] ? current[category].ratio : clamp(staticRatio(category), opts);
+        const ratio = clamp(from + opts.adaptRate * (target.ratio - from), opts);
+        next[category] = {
+            ratio: +ratio.toFixed(4),
+            target: target.ratio,
+            winProb: +target.winProb.toFixed(3),
+            samples: group.bids,
+            updatedAt: new Date().toISOString(),
+        };
+    }
+    return next;
+}
+
+function clamp(ratio, { floor, ceiling }) {
+    return Math.min(ceiling, Math.max(floor, ratio));
+}
+
+module.exports = {
+    BUDGET_BANDS,
+    DEFAULT_PRICING,
+    budgetBand,
+    resolvedBids,
+    buildBidStats,
+    winProbabilityAt,
+    bestRatio,
+    updateAdaptiveRatios,
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const { flagContent } = require('./file-manifest.js');
+
+/**
+ * EvaluatorAgent: the LLM-as-a-judge gate between build and submission
+ * (docs/COGNITIVE_SYSTEM.md → "Internal Validation").
+ *
+ * The judge grades the work on the rubric below. Its scores are then capped
+ * by facts we can check ourselves (tests exist and pass, README sections,
+ * placeholder code, build result), so a generous judge cannot wave through
+ * work that demonstrably falls short. Anything under the threshold produces
+ * an Audit Deficiency Report to feed back into the builder.
+ */
+
+const RUBRIC = [
+    { key: 'completeness', weight: 40, label: 'Functional completeness', ask: 'Does the work meet every requirement in the job?' },
+    { key: 'codeQuality', weight: 20, label: 'Code quality', ask: 'Is the code complete, documented, idiomatic and free of dead or duplicated logic?' },
+    { key: 'tests', weight: 20, label: 'Test coverage', ask: 'Do the tests exercise every public function and the edge cases?' },
+    { key: 'readme', weight: 20, label: 'README / UX', ask: 'Can the requester install and run it from the README alone?' },
+];
+
+const DEFAULT_THRESHOLD = 95;     // when context-engineering.json has none
+
+const DEFAULT_EVALUATOR = {
+    enabled: true,
+    maxRounds: 2,                   // audit → fix rounds before submitting anyway
+    timeoutMs: 300000,              // per backend model attempt
+    attempts: 1,                    // judge calls per grading (each already fails over across backend models)
+    maxHeld: 3,                     // times a delivery is held for an unavailable judge before it ships ungraded
+    retryDelayMs: 600000,           // wait before grading a held delivery again, doubling per hold
+    maxRetryDelayMs: 3600000,
+};
+
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.\w+$|(^|\/)test_[^/]+$|_test\.\w+$/i;
+
+/**
+ * context-engineering.json, which opens with a `# filename` comment line
+ * that is not JSON.
+ */
+function readContextConfig(filePath) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(source.split('\n').filter(line => !line.trimStart().startsWith('#')).join('\n'));
+}
+
+/**
+ * Facts about the delivered files and the build that bound the judge's scores.
+ * @param {object[]} files - { path, content }
+ * @param {object} build - { build, tests } each 'passed' | 'failed' | 'skipped'
+ */
+function staticChecks(files, build = {}) {
+    const readme = files.find(f => /(^|\/)readme(\.md)?$/i.test(f.path));
+    return {
+        testFiles: files.filter(f => TEST_FILE.test(f.path)).map(f => f.path),
+        readme: !!readme,
+        readmeSetup: !!readme && /^#+\s*(install|installation|setup|getting started|quick ?start)/im.test(readme.content),
+        readmeUsage: !!readme && /^#+\s*(usage|examples?|running|run|how to)/im.test(readme.content),
+        placeholders: [...new Set(flagContent(files).filter(f => f.line !== null).map(f => f.path))],
+        build: build.build || 'skipped',
+        tests: build.tests || 'skipped',
+    };
+}
+
+function buildEvaluationPrompt(job, files, requirements, checks) {
+    const listing = files.map(f => `=== FILE: ${f.path} ===\n${f.content}`).join('\n\n');
+    return `You are the EvaluatorAgent, a strict reviewer grading a delivery for a NEAR Agent Market job before it is submitted.
+
+Job Title: ${job.title || '(untitled)'}
+Job Description:
+${job.description || ''}
+
+REQUIREMENTS (the job's acceptance checklist):
+${requirements.map((r, i) => `${i + 1}. ${r}`).join('\n')}
+
+BUILD RESULTS: build ${checks.build}, tests ${checks.tests}
+
+RUBRIC:
+${RUBRIC.map(c => `- ${c.key}: ${c.ask}`).join('\n')}
+
+DELIVERED FILES:
+${listing}
+
+Reply with ONLY a JSON object, no prose:
+{
+  "requirements": [{ "id": 1, "met": true, "note": "where or why not" }],
+  "codeQuality": { "score": 0-100, "issues": ["..."] },
+  "tests": { "score": 0-100, "issues": ["..."] },
+  "readme": { "score": 0-100, "issues": ["..."] }
+}
+Judge every requirement by number. Be specific in issues: name the file and what is missing.`;
+}
+
+function clampScore(x) {
+    const n = Number(x);
+    return Number.isFinite(n) ? Math.max(0, Math.min(100, Math.round(n))) : 0;
+}
+
+/**
+ * Cap the judge's rubric scores by the static checks.
+ * @returns {{ [key]: { score: number, issues: string[] } }}
+ */
+function applyChecks(criteria, checks) {
+    const cap = (key, max, issue) => {
+        if (criteria[key].score > max) criteria[key].score = max;
+        criteria[key].issues.push(issue);
+    };
+    if (checks.testFiles.length === 0) cap('tests', 0, 'no test files were delivered');
+    else if (checks.tests === 'failed') cap('tests', 40, 'the test suite fails');
+    if (!checks.readme) cap('readme', 0, 'no README.md');
+    else {
+        if (!checks.readmeSetup) cap('readme', 60, 'README has no install/setup section');
+        if (!checks.readmeUsage) cap('readme', 60, 'README has no usage section');
+    }
+    if (checks.placeholders.length > 0) cap('codeQuality', 40, `placeholder code in ${checks.placeholders.join(', ')}`);
+    if (checks.build === 'failed') cap('codeQuality', 30, 'the build fails');
+    return criteria;
+}
+
+/**
+ * Turn the judge's reply into a scored evaluation.
+ * @returns {{ score, criteria, requirements: { text, met, note }[], checks }}
+ * @throws if the reply holds no JSON object
+ */
+function parseEvaluation(output, requirements, checks) {
+    const text = String(output || '').replace(/<think>[\s\S]*?<\/think>/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end <= start) throw new Error('judge reply has no JSON object');
+    const raw = JSON.parse(text.slice(start, end + 1));
+
+    const verdicts = Array.isArray(raw.requirements) ? raw.requirements : [];
+    const judged = requirements.map((req, i) => {
+        const v = verdicts.find(x => Number(x.id) === i + 1) || verdicts[i] || {};
+        return { text: req, met: v.met === true, note: v.note || (v.met === undefined ? 'not judged' : '') };
+    });
+
+    const criterion = key => ({
+        score: clampScore(raw[key] && raw[key].score),
+        issues: (raw[key] && Array.isArray(raw[key].issues) ? raw[key].issues : []).map(String),
+    });
+    const criteria = applyChecks({
+        completeness: {
+            score: Math.round(100 * judged.filter(r => r.met).length / judged.length),
+            issues: judged.filter(r => !r.met).map(r => `unmet: ${r.text}${r.note ? ` (${r.note})` : ''}`),
+        },
+        codeQuality: criterion('codeQuality'),
+        tests: criterion('tests'),
+        readme: criterion('readme'),
+    }, checks);
+
+    const totalWeight = RUBRIC.reduce((sum, c) => sum + c.weight, 0);
+    const score = Math.round(RUBRIC.reduce((sum, c) => sum + criteria[c.key].score * c.weight, 0) / totalWeight);
+    return { score, criteria, requirements: judged, checks };
+}
+
+/**
+ * The Audit Deficiency Report handed back to the builder.
+ */
+function formatDeficiencyReport(evaluation, threshold) {
+    const lines = [
+        '# Audit Deficiency Report',
+        '',
+        `Score ${evaluation.score}/100, threshold ${threshold}.`,
+        '',
+    ];
+    for (const c of RUBRIC) {
+        const { score, issues } = evaluation.criteria[c.key];
+        lines.push(`## ${c.label}: ${score}/100 (weight ${c.weight})`);
+        for (const issue of issues) lines.push(`- ${issue}`);
+        lines.push('');
+    }
+    lines.push('Fix every item above. Keep everything that already works.');
+    return lines.join('\n');
+}
+
+/**
+ * Grading outcomes across job records: graded jobs (passed or not, mean
+ * score) and ungraded ones (template builds, deliveries held for or shipped
+ * past an unavailable judge).
+ */
+function summarizeEvaluations(jobs) {
+    const evaluated = Object.values(jobs).filter(job => job.evaluation);
+    const graded = evaluated.filter(job => !job.evaluation.skipped);
+    const skipped = evaluated.filter(job => job.evaluation.skipped);
+    return {
+        graded: graded.length,
+        passed: graded.filter(job => job.evaluation.passed).length,
+        meanScore: graded.length ? graded.reduce((sum, job) => sum + job.evaluation.score, 0) / graded.length : null,
+        skipped: skipped.map(job => ({
+            jobId: job.jobId, title: job.title, status: job.status,
+            reason: job.evaluation.reason, held: job.evaluation.held || 0, retryAt: job.evaluation.retryAt || null, at: job.evaluation.at,
+        })),
+    };
+}
+
+module.exports = {
+    RUBRIC,
+    DEFAULT_THRESHOLD,
+    DEFAULT_EVALUATOR,
+    readContextConfig,
+    staticChecks,
+    buildEvaluationPrompt,
+    parseEvaluation,
+    formatDeficiencyReport,
+    summarizeEvaluations,
+};
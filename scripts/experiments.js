@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+/**
+ * Controlled A/B experiments on proposals and pricing.
+ *
+ * Experiments live under `experiments` in config.json:
+ *
+ *   {
+ *     "id": "bid-style-oct",
+ *     "status": "running",          // running | paused | stopped; only running ones enrol bids
+ *     "traffic": 0.5,               // share of bids enrolled, 0–1 (default 1)
+ *     "metric": "winRate",          // winRate | revenuePerBid
+ *     "arms": [
+ *       { "name": "control" },
+ *       { "name": "conservative", "config": { "bidStrategy": "conservative" } },
+ *       { "name": "short-proposal", "weight": 2, "templates": { "default": "default-short" } }
+ *     ]
+ *   }
+ *
+ * The first arm is the control every other arm is compared against. An arm
+ * may override config.json keys for that bid (`config`; `pricing` merges
+ * key by key) and swap proposal templates by name (`templates`).
+ *
+ * Assignment hashes the experiment id with the job id, so a job always lands
+ * in the same arm, across restarts and machines. Each bid record carries its
+ * arms (`experiments: { id: arm }`) and results are read back from the job
+ * records as their bids resolve.
+ */
+
+const METRICS = {
+    winRate: 'won / resolved bids',
+    revenuePerBid: 'NEAR paid / settled bids',
+};
+const EXPERIMENT_STATUSES = ['running', 'paused', 'stopped'];
+const Z_95 = 1.96;
+
+/**
+ * Check experiment definitions. Throws on anything malformed; returns
+ * warnings for running experiments whose arms override the same keys
+ * (their effects would be confounded).
+ */
+function validateExperiments(experiments = []) {
+    if (!Array.isArray(experiments)) throw new Error('`experiments` in config.json must be an array');
+    const ids = new Set();
+    for (const exp of experiments) {
+        if (!exp.id) throw new Error('Every experiment needs an `id`');
+        if (ids.has(exp.id)) throw new Error(`Duplicate experiment id "${exp.id}"`);
+        ids.add(exp.id);
+        const status = exp.status || 'running';
+        if (!EXPERIMENT_STATUSES.includes(status)) throw new Error(`Experiment "${exp.id}": unknown status "${status}"`);
+        const metric = exp.metric || 'winRate';
+        if (!METRICS[metric]) throw new Error(`Experiment "${exp.id}": unknown metric "${metric}" (use ${Object.keys(METRICS).join(' or ')})`);
+        const traffic = exp.traffic ?? 1;
+        if (!(traffic > 0 && traffic <= 1)) throw new Error(`Experiment "${exp.id}": traffic must be in (0, 1]`);
+        if (!Array.isArray(exp.arms) || exp.arms.length < 2) throw new Error(`Experiment "${exp.id}" needs at least two arms`);
+        const names = new Set();
+        for (const arm of exp.arms) {
+            if (!arm.name || names.has(arm.name)) throw new Error(`Experiment "${exp.id}": arms need unique names`);
+            names.add(arm.name);
+            if ((arm.weight ?? 1) <= 0) throw new Error(`Experiment "${exp.id}": arm "${arm.name}" needs a positive weight`);
+        }
+    }
+
+    const warnings = [];
+    const owners = {};
+    for (const exp of experiments.filter(e => (e.status || 'running') === 'running')) {
+        const keys = new Set(exp.arms.flatMap(arm => [
+            ...Object.keys(arm.config || {}).map(k => `config.${k}`),
+            ...Object.keys(arm.templates || {}).map(k => `templates.${k}`),
+        ]));
+        for (const key of keys) {
+            if (owners[key]) warnings.push(`"${owners[key]}" and "${exp.id}" both override ${key}`);
+            else owners[key] = exp.id;
+        }
+    }
+    return warnings;
+}
+
+/**
+ * A uniform value in [0, 1) fixed by `key`.
+ */
+function bucket(key) {
+    return crypto.createHash('sha1').update(key).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * The arm `jobId` falls in, or null if it is outside the experiment's traffic.
+ */
+function assignArm(experiment, jobId) {
+    if (bucket(`${experiment.id}:traffic:${jobId}`) >= (experiment.traffic ?? 1)) return null;
+    const total = experiment.arms.reduce((sum, arm) => sum + (arm.weight ?? 1), 0);
+    let point = bucket(`${experiment.id}:arm:${jobId}`) * total;
+    for (const arm of experiment.arms) {
+        point -= arm.weight ?? 1;
+        if (point < 0) return arm;
+    }
+    return experiment.arms[experiment.arms.length - 1];
+}
+
+/**
+ * Arms for a bid on `jobId` in every running experiment.
+ * @returns {{ assignment: object, config: object, templates: object }}
+ *   assignment: { experimentId: armName }; config and templates: the arms'
+ *   overrides applied over `baseConfig`.
+ */
+function assignExperiments(experiments, jobId, baseConfig) {
+    const assignment = {};
+    let config = baseConfig;
+    const templates = {};
+    for (const exp of experiments || []) {
+        if ((exp.status || 'running') !== 'running') continue;
+        const arm = assignArm(exp, jobId);
+        if (!arm) continue;
+        assignment[exp.id] = arm.name;
+        if (arm.config) {
+            const { pricing, ...rest } = arm.config;
+            config = { ...config, ...rest, ...(pricing ? { pricing: { ...config.pricing, ...pricing } } : {}) };
+        }
+        Object.assign(templates, arm.templates);
+    }
+    return { assignment, config, templates };
+}
+
+/**
+ * Per-arm observations for the experiment's metric, from job records.
+ * winRate: 1/0 per bid decided won (reached awarded) or lost (bid_rejected).
+ * revenuePerBid: NEAR paid per settled bid (paid, lost, or expired after award);
+ * won bids still being worked are left out until they settle.
+ */
+function armSamples(experiment, jobs) {
+    const metric = experiment.metric || 'winRate';
+    const samples = Object.fromEntries(experiment.arms.map(arm => [arm.name, { bids: 0, values: [] }]));
+    for (const job of Object.values(jobs)) {
+        const armName = job.experiments && job.experiments[experiment.id];
+        if (!samples[armName]) continue;
+        const s = samples[armName];
+        s.bids++;
+        const won = (job.history || []).some(h => h.status === 'awarded');
+        if (metric === 'winRate') {
+            if (won) s.values.push(1);
+            else if (job.status === 'bid_rejected') s.values.push(0);
+        } else if (job.status === 'paid') {
+            s.values.push(parseFloat(job.amount || 0));
+        } else if (job.status === 'bid_rejected' || (won && job.status === 'expired')) {
+            s.values.push(0);
+        }
+    }
+    return samples;
+}
+
+/**
+ * Wilson score interval for a proportion.
+ */
+function wilson(successes, n, z = Z_95) {
+    if (n === 0) return [0, 1];
+    const p = successes / n;
+    const denom = 1 + z * z / n;
+    const centre = (p + z * z / (2 * n)) / denom;
+    const half = (z / denom) * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+    return [Math.max(0, centre - half), Math.min(1, centre + half)];
+}
+
+function meanAndVariance(values) {
+    const n = values.length;
+    const mean = n ? values.reduce((a, b) => a + b, 0) / n : 0;
+    const variance = n > 1 ? values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1) : 0;
+    return { mean, variance };
+}
+
+/**
+ * Metric value, 95% interval and the delta against control for each arm.
+ *
+ * Win rates use Wilson intervals and Newcombe's interval for the difference,
+ * which hold up at the small sample sizes a bidding bot sees. Revenue per bid
+ * uses a normal (Welch) interval on the difference of means. A delta is
+ * `significant` when its interval excludes zero.
+ */
+function experimentReport(experiment, jobs) {
+    const metric = experiment.metric || 'winRate';
+    const samples = armSamples(experiment, jobs);
+
+    const arms = experiment.arms.map(arm => {
+        const { bids, values } = samples[arm.name];
+        const n = values.length;
+        if (metric === 'winRate') {
+            const won = values.filter(v => v === 1).length;
+            return { name: arm.name, bids, n, value: n ? won / n : null, ci: wilson(won, n) };
+        }
+        const { mean, variance } = meanAndVariance(values);
+        const half = n > 1 ? Z_95 * Math.sqrt(variance / n) : null;
+        return { name: arm.name, bids, n, value: n ? mean : null, variance, ci: half === null ? null : [mean - half, mean + half] };
+    });
+
+    const control = arms[0];
+    for (const arm of arms.slice(1)) {
+        if (!arm.n || !control.n) {
+            arm.delta = null;
+            continue;
+        }
+        const delta = arm.value - control.value;
+        let ci;
+        if (metric === 'winRate') {
+            const [l1, u1] = control.ci;
+            const [l2, u2] = arm.ci;
+            ci = [
+                delta - Math.sqrt((arm.value - l2) ** 2 + (u1 - control.value) ** 2),
+                delta + Math.sqrt((u2 - arm.value) ** 2 + (control.value - l1) ** 2),
+            ];
+        } else if (arm.n > 1 && control.n > 1) {
+            const half = Z_95 * Math.sqrt(arm.variance / arm.n + control.variance / control.n);
+            ci = [delta - half, delta + half];
+        } else {
+            ci = null;
+        }
+        arm.delta = { value: delta, ci, significant: !!ci && (ci[0] > 0 || ci[1] < 0) };
+    }
+
+    return {
+        id: experiment.id,
+        status: experiment.status || 'running',
+        metric,
+        metricLabel: METRICS[metric],
+        traffic: experiment.traffic ?? 1,
+        arms,
+    };
+}
+
+module.exports = {
+    validateExperiments,
+    assignArm,
+    assignExperiments,
+    armSamples,
+    experimentReport,
+    wilson,
+    METRICS,
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Safety checks between model output and the disk.
+ *
+ * validateFiles() rejects files that must never be written:
+ *   - absolute paths, drive letters, `..` segments and anything else that
+ *     would land outside the job directory;
+ *   - control characters, and `< > : " | ? *`, which Windows cannot store
+ *     (brackets and parentheses are fine: Next.js routes like
+ *     `app/[id]/page.tsx` need them, and no path goes through a shell);
+ *   - `.git/` and the files we write into the job directory ourselves;
+ *   - files over `maxFileBytes`, and binary junk (NUL bytes, mostly
+ *     non-printable or U+FFFD text).
+ *
+ * flagContent() reports problems that can be fixed and are sent back to the
+ * model: unbalanced code fences, and placeholders banned by the README's
+ * Zero-Placeholder Protocol (`// TODO`, `... existing code ...`) in source
+ * files. Prose files are left alone: a README may well have a "TODO" section.
+ *
+ * safeWriteFile() writes one file below a root without following symlinks.
+ */
+
+const DEFAULT_MANIFEST = {
+    maxFileBytes: 512 * 1024,
+    maxFiles: 200,
+};
+
+const UNSAFE_PATH_CHARS = /[\u0000-\u001f\u007f<>:"|?*]/;
+// Written by the bot itself; a generated file must not replace them
+const RESERVED = /^(?:\.git(?:\/|$)|deliverable\.md$|\.[\w-]*prompt\.txt$|\.audit-report\.md$)/i;
+
+// Documentation, where "TODO" and "FIXME" are words rather than markers
+const PROSE_FILE = /\.(?:md|markdown|mdx|txt|rst|adoc)$/i;
+
+// Line and block comment openers (// # -- /* and the * of a block comment body)
+const COMMENT = String.raw`(?:\/\/|#|--|\/\*|^\s*\*)\s*`;
+
+const PLACEHOLDERS = [
+    { re: new RegExp(`${COMMENT}TODO\\b`), what: 'TODO comment' },
+    { re: new RegExp(`${COMMENT}FIXME\\b`), what: 'FIXME' },
+    { re: /\.\.\.\s*(?:existing|rest of(?: the)?|remaining|previous)\s+code/i, what: '"... existing code ..." elision' },
+    { re: /^\s*(?:\/\/|#)\s*\.\.\.\s*$/, what: 'elided block' },
+    { re: new RegExp(`${COMMENT}(?:implement (?:the )?(?:logic|me)|your code here|add (?:your )?implementation here)\\b`, 'i'), what: 'implementation stub' },
+];
+
+/**
+ * Normalized relative path, or throws with the reason it is unsafe.
+ */
+function checkPath(filePath) {
+    const raw = String(filePath || '').trim();
+    if (!raw) throw new Error('empty path');
+    if (/^(?:[a-z]:)?[\\/]/i.test(raw) || /^[a-z]:/i.test(raw)) throw new Error('absolute path');
+    const unified = raw.replace(/\\/g, '/');
+    if (unified.split('/').includes('..')) throw new Error('path escapes the job directory');
+    if (UNSAFE_PATH_CHARS.test(unified)) throw new Error('unsafe characters in path');
+    const normalized = path.posix.normalize(unified).replace(/^\.\//, '');
+    if (normalized === '.' || normalized.endsWith('/')) throw new Error('not a file path');
+    if (RESERVED.test(normalized)) throw new Error('reserved file');
+    return normalized;
+}
+
+function looksBinary(content) {
+    if (content.includes('\u0000')) return true;
+    const sample = content.slice(0, 8192);
+    if (!sample) return false;
+    const junk = sample.match(/[\u0001-\u0008\u000e-\u001f\u007f\ufffd]/g);
+    return !!junk && junk.length / sample.length > 0.1;
+}
+
+/**
+ * Split parsed files into those safe to write and those rejected.
+ * A path given twice keeps its last version.
+ * @returns {{ files: { path, content }[], rejected: { path, reason }[] }}
+ */
+function validateFiles(files, settings = {}) {
+    const { maxFileBytes, maxFiles } = { ...DEFAULT_MANIFEST, ...settings };
+    const accepted = new Map();
+    const rejected = [];
+    for (const file of files) {
+        let normalized;
+        try {
+            normalized = checkPath(file.path);
+        } catch (e) {
+            rejected.push({ path: file.path, reason: e.message });
+            continue;
+        }
+        const bytes = Buffer.byteLength(file.content, 'utf8');
+        if (bytes > maxFileBytes) rejected.push({ path: normalized, reason: `${bytes} bytes (max ${maxFileBytes})` });
+        else if (looksBinary(file.content)) rejected.push({ path: normalized, reason: 'binary content' });
+        else {
+            accepted.delete(normalized);
+            accepted.set(normalized, { ...file, path: normalized });
+        }
+    }
+    const kept = [...accepted.values()];
+    for (const file of kept.slice(maxFiles)) rejected.push({ path: file.path, reason: `more than ${maxFiles} files` });
+    return { files: kept.slice(0, maxFiles), rejected };
+}
+
+/**
+ * Fixable problems in file contents.
+ * @returns {{ path: string, line: number|null, problem: string }[]}
+ */
+function flagContent(files) {
+    const flags = [];
+    for (const file of files) {
+        const lines = file.content.split('\n');
+        const fences = lines.filter(line => /^\s*```/.test(line)).length;
+        if (fences % 2 === 1) flags.push({ path: file.path, line: null, problem: 'unbalanced ``` code fence' });
+        if (PROSE_FILE.test(file.path)) continue;
+        lines.forEach((line, i) => {
+            const hit = PLACEHOLDERS.find(p => p.re.test(line));
+            if (hit) flags.push({ path: file.path, line: i + 1, problem: `${hit.what}: ${line.trim().substring(0, 120)}` });
+        });
+    }
+    return flags;
+}
+
+/**
+ * The flags as error output for fixWithAI.
+ */
+function formatFlags(flags) {
+    return flags.map(f => `${f.path}${f.line ? `:${f.line}` : ''}: ${f.problem}`).join('\n');
+}
+
+/**
+ * Write `content` to `relPath` below `rootDir`. Throws if the path is unsafe
+ * or any part of it (including the file itself) is a symlink.
+ * @returns {string} the full path written
+ */
+function safeWriteFile(rootDir, relPath, content) {
+    const normalized = checkPath(relPath);
+    const root = fs.realpathSync(rootDir);
+    let current = root;
+    for (const part of normalized.split('/')) {
+        current = path.join(current, part);
+        let stat = null;
+        try {
+            stat = fs.lstatSync(current);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        if (stat && stat.isSymbolicLink()) throw new Error(`${path.relative(root, current)} is a symlink`);
+    }
+    fs.mkdirSync(path.dirname(current), { recursive: true });
+    fs.writeFileSync(current, content);
+    return current;
+}
+
+module.exports = { validateFiles, flagContent, formatFlags, safeWriteFile, checkPath, DEFAULT_MANIFEST };
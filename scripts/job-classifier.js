@@ -0,0 +1,221 @@
+const fs = require('fs');
+const { STOPWORDS, tokenize, bigrams, jobText } = require('./text-tokens.js');
+
+/**
+ * Multinomial naive Bayes job categorizer.
+ *
+ * Trained from a labelled JSONL of past jobs, one per line:
+ *   { "title": "...", "description": "...", "tags": [...], "category": "security" }
+ *
+ * Features are unigrams plus bigrams (so "smart contract" and "unit test"
+ * count as phrases) with stopwords dropped. The model is plain JSON, so
+ * training output can be committed or shipped alongside config.json.
+ *
+ * Training also cross-validates the model against the keyword rules and
+ * records the result as `validation`; the bot only routes jobs through a
+ * model that beat the rules on held-out jobs.
+ */
+
+const MODEL_VERSION = 3;          // bumped when features change (v3: shared stopword list grew)
+
+/**
+ * Distinct features of a text. Counting each once per job (binarized NB)
+ * works better than raw counts on short texts like job posts.
+ */
+function features(text) {
+    const tokens = tokenize(text).filter(t => !STOPWORDS.has(t));
+    return [...new Set([...tokens, ...bigrams(tokens)])];
+}
+
+/**
+ * Read labelled examples as { job, text, label }; lines without a category
+ * are skipped.
+ */
+function loadExamples(filePath) {
+    const examples = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        let row;
+        try {
+            row = JSON.parse(line);
+        } catch (e) {
+            throw new Error(`${filePath}:${i + 1}: ${e.message}`);
+        }
+        if (row.category) examples.push({ job: row, text: jobText(row), label: row.category });
+    });
+    return examples;
+}
+
+/**
+ * @param {{ text: string, label: string }[]} examples
+ * @param {object} [options]
+ * @param {number} [options.alpha] - Laplace smoothing
+ */
+function trainClassifier(examples, { alpha = 1 } = {}) {
+    if (examples.length === 0) throw new Error('No labelled examples to train on');
+    const docs = {};
+    const counts = {};
+    const totals = {};
+    const vocab = new Set();
+
+    for (const { text, label } of examples) {
+        docs[label] = (docs[label] || 0) + 1;
+        const c = counts[label] ||= {};
+        for (const f of features(text)) {
+            c[f] = (c[f] || 0) + 1;
+            totals[label] = (totals[label] || 0) + 1;
+            vocab.add(f);
+        }
+    }
+
+    return {
+        version: MODEL_VERSION,
+        trainedAt: new Date().toISOString(),
+        examples: examples.length,
+        alpha,
+        labels: Object.keys(docs).sort(),
+        docs,
+        totals,
+        vocabSize: vocab.size,
+        counts,
+    };
+}
+
+/**
+ * Posterior probability per category for `text`.
+ *
+ * @returns {{ category: string, confidence: number, scores: Object<string, number> }}
+ */
+function classify(model, text) {
+    const feats = features(text);
+    const totalDocs = Object.values(model.docs).reduce((a, b) => a + b, 0);
+    const logScores = {};
+
+    for (const label of model.labels) {
+        const c = model.counts[label] || {};
+        const denom = Math.log((model.totals[label] || 0) + model.alpha * model.vocabSize);
+        let score = Math.log(model.docs[label] / totalDocs);
+        for (const f of feats) {
+            // Features never seen in training carry no evidence either way
+            if (!isKnown(model, f)) continue;
+            score += Math.log((c[f] || 0) + model.alpha) - denom;
+        }
+        logScores[label] = score;
+    }
+
+    // Softmax over log scores
+    const max = Math.max(...Object.values(logScores));
+    const exp = Object.fromEntries(Object.entries(logScores).map(([l, s]) => [l, Math.exp(s - max)]));
+    const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+    const scores = Object.fromEntries(Object.entries(exp).map(([l, e]) => [l, e / sum]));
+
+    const category = Object.keys(scores).reduce((a, b) => (scores[b] > scores[a] ? b : a));
+    return { category, confidence: scores[category], scores };
+}
+
+function isKnown(model, feature) {
+    return model.labels.some(label => model.counts[label] && model.counts[label][feature]);
+}
+
+/**
+ * Accuracy, confusion matrix (matrix[actual][predicted]) and per-category
+ * precision / recall over { label, predicted } pairs.
+ */
+function evaluate(results) {
+    const labels = new Set();
+    const matrix = {};
+    let correct = 0;
+
+    for (const { label, predicted } of results) {
+        labels.add(label);
+        labels.add(predicted);
+        matrix[label] ||= {};
+        matrix[label][predicted] = (matrix[label][predicted] || 0) + 1;
+        if (predicted === label) correct++;
+    }
+
+    const sorted = [...labels].sort();
+    const cell = (a, p) => (matrix[a] && matrix[a][p]) || 0;
+    const perLabel = {};
+    for (const label of sorted) {
+        const tp = cell(label, label);
+        const predictedAs = sorted.reduce((n, a) => n + cell(a, label), 0);
+        const actual = sorted.reduce((n, p) => n + cell(label, p), 0);
+        perLabel[label] = {
+            precision: predictedAs ? tp / predictedAs : 0,
+            recall: actual ? tp / actual : 0,
+            support: actual,
+        };
+    }
+
+    return { accuracy: results.length ? correct / results.length : 0, total: results.length, labels: sorted, matrix, perLabel };
+}
+
+/**
+ * k-fold cross-validation: every example is classified by a model that
+ * never saw it. Folds are assigned round-robin so the split is deterministic.
+ *
+ * @returns {object[]} the examples with `result` (classify output) attached
+ */
+function crossValidate(examples, folds = 5, options) {
+    const classified = [];
+    for (let k = 0; k < folds; k++) {
+        const train = examples.filter((_, i) => i % folds !== k);
+        const test = examples.filter((_, i) => i % folds === k);
+        if (test.length === 0 || train.length === 0) continue;
+        const model = trainClassifier(train, options);
+        for (const ex of test) classified.push({ ...ex, result: classify(model, ex.text) });
+    }
+    return classified;
+}
+
+/**
+ * Score held-out classifications three ways: the classifier alone, with
+ * `rules` (job → category) below minConfidence, and the rules alone.
+ *
+ * @param {object[]} classified - examples with `result`, from crossValidate()
+ *   or a holdout set
+ * @returns {{ classifier, withFallback, rules, confident: number, beatsRules: boolean }}
+ *   the first three as from evaluate()
+ */
+function compareWithRules(classified, rules, minConfidence) {
+    const ruled = classified.map(ex => rules(ex.job));
+    const score = predict => evaluate(classified.map((ex, i) => ({ label: ex.label, predicted: predict(ex, i) })));
+    const classifier = score(ex => ex.result.category);
+    const withFallback = score((ex, i) => (ex.result.confidence >= minConfidence ? ex.result.category : ruled[i]));
+    const rulesOnly = score((ex, i) => ruled[i]);
+    return {
+        classifier,
+        withFallback,
+        rules: rulesOnly,
+        confident: classified.filter(ex => ex.result.confidence >= minConfidence).length,
+        beatsRules: withFallback.accuracy > rulesOnly.accuracy,
+    };
+}
+
+/**
+ * Render a confusion matrix as fixed-width text (rows: actual, columns: predicted).
+ */
+function formatConfusionMatrix({ labels, matrix }) {
+    const abbrev = labels.map(l => l.slice(0, 6));
+    const width = Math.max(...labels.map(l => l.length), 'actual \\ predicted'.length);
+    const lines = [`${'actual \\ predicted'.padEnd(width)} ${abbrev.map(a => a.padStart(6)).join(' ')}`];
+    for (const actual of labels) {
+        const row = labels.map(p => String((matrix[actual] && matrix[actual][p]) || 0).padStart(6));
+        lines.push(`${actual.padEnd(width)} ${row.join(' ')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    MODEL_VERSION,
+    features,
+    loadExamples,
+    trainClassifier,
+    classify,
+    evaluate,
+    crossValidate,
+    compareWithRules,
+    formatConfusionMatrix,
+};
@@ -0,0 +1,249 @@
+const { tokenize, STOPWORDS } = require('./text-tokens.js');
+
+/**
+ * Near-duplicate detection for reposted and cloned jobs.
+ *
+ * A job's title + description is cut into overlapping word shingles and
+ * summarised by a MinHash signature: the fraction of positions where two
+ * signatures agree estimates the Jaccard similarity of their shingle sets.
+ * Signatures are split into LSH bands so a lookup only compares jobs that
+ * share at least one band, instead of every job ever seen. With 64 hashes the
+ * estimate is off by ~0.06, so candidates are confirmed with the exact
+ * Jaccard similarity of their stored shingle hashes before they count.
+ */
+
+const SHINGLE_SIZE = 2;        // job posts are short; 3-word shingles let small rewordings look unrelated
+const NUM_HASHES = 64;
+const BANDS = 32;               // 2 rows per band: pairs above ~0.4 similarity almost always collide
+
+const DEFAULT_DEDUPE = {
+    threshold: 0.45,            // Jaccard similarity at which a repost by the same requester counts as the same job
+    crossRequesterThreshold: 0.8, // another requester's post must be a near copy (templated jobs alone reach ~0.6)
+    maxTracked: 1000,           // fingerprints kept in state.json, least recently seen dropped first
+};
+
+/**
+ * 32-bit FNV-1a, seeded so one shingle yields independent hashes.
+ */
+function hash32(str, seed = 0x811c9dc5) {
+    let h = seed >>> 0;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+/**
+ * Distinct word shingles of a job's title and description. Stopwords are
+ * dropped so rephrasings like "a CLI for" / "the CLI of" still line up.
+ */
+function shingles(job, k = SHINGLE_SIZE) {
+    const tokens = tokenize([job.title, job.description].filter(Boolean).join('\n'))
+        .filter(t => !STOPWORDS.has(t));
+    if (tokens.length < k) return new Set(tokens.length ? [tokens.join(' ')] : []);
+    const set = new Set();
+    for (let i = 0; i + k <= tokens.length; i++) set.add(tokens.slice(i, i + k).join(' '));
+    return set;
+}
+
+/**
+ * MinHash signature of a shingle set, as a hex string (8 chars per hash).
+ * The hash family is h1 + i·h2 (Kirsch–Mitzenmacher), so each shingle is
+ * only hashed twice. Null when the job has no text.
+ */
+function minhash(shingleSet, numHashes = NUM_HASHES) {
+    if (shingleSet.size === 0) return null;
+    const mins = new Array(numHashes).fill(0xffffffff);
+    for (const shingle of shingleSet) {
+        const h1 = hash32(shingle);
+        const h2 = hash32(shingle, 0x9747b28c) | 1;
+        for (let i = 0; i < numHashes; i++) {
+            const h = (h1 + Math.imul(i, h2)) >>> 0;
+            if (h < mins[i]) mins[i] = h;
+        }
+    }
+    return mins.map(h => h.toString(16).padStart(8, '0')).join('');
+}
+
+function fingerprint(job) {
+    return minhash(shingles(job));
+}
+
+/**
+ * The shingle set itself, as sorted 32-bit hashes in one hex string, so
+ * exact similarity can be computed later without keeping the job text.
+ */
+function shingleHashes(shingleSet) {
+    return [...new Set([...shingleSet].map(s => hash32(s)))]
+        .sort((a, b) => a - b)
+        .map(h => h.toString(16).padStart(8, '0'))
+        .join('');
+}
+
+/**
+ * Exact Jaccard similarity of two shingleHashes() strings.
+ */
+function jaccard(a, b) {
+    if (!a || !b) return 0;
+    const left = new Set(a.match(/.{8}/g));
+    const right = b.match(/.{8}/g);
+    const shared = right.filter(h => left.has(h)).length;
+    return shared / (left.size + right.length - shared);
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures (share of equal hashes).
+ */
+function similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let same = 0;
+    let total = 0;
+    for (let i = 0; i < a.length; i += 8) {
+        total++;
+        if (a.slice(i, i + 8) === b.slice(i, i + 8)) same++;
+    }
+    return same / total;
+}
+
+function bandKeys(signature) {
+    const width = signature.length / BANDS;
+    const keys = [];
+    for (let b = 0; b < BANDS; b++) keys.push(`${b}:${signature.slice(b * width, (b + 1) * width)}`);
+    return keys;
+}
+
+/**
+ * An LSH index over job fingerprints.
+ *
+ * `entries` is the persisted form (STATE.fingerprints): job id →
+ * { signature, shingles, title, requesterId, firstSeen, lastSeen }.
+ * Entries saved before `shingles` was stored fall back to the MinHash
+ * estimate until the job is polled again.
+ *
+ * @param {object} [entries]
+ * @param {object} [options] - { threshold, maxTracked }, see DEFAULT_DEDUPE
+ *   (crossRequesterThreshold is applied by the caller, which knows requesters)
+ */
+function createFingerprintIndex(entries = {}, options = {}) {
+    const { threshold, maxTracked } = { ...DEFAULT_DEDUPE, ...options };
+    const buckets = new Map();
+
+    function index(id, signature) {
+        for (const key of bandKeys(signature)) {
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(id);
+        }
+    }
+
+    function unindex(id, signature) {
+        for (const key of bandKeys(signature)) {
+            const bucket = buckets.get(key);
+            if (bucket) bucket.delete(id);
+        }
+    }
+
+    for (const [id, entry] of Object.entries(entries)) index(id, entry.signature);
+
+    /**
+     * Jobs at or above the threshold, most similar first. LSH picks the
+     * candidates; `hashes` (shingleHashes() of the same job) scores them
+     * exactly.
+     * @returns {{ jobId, similarity, title, requesterId }[]}
+     */
+    function match(signature, excludeId = null, hashes = null) {
+        if (!signature) return [];
+        const candidates = new Set();
+        for (const key of bandKeys(signature)) {
+            for (const id of buckets.get(key) || []) candidates.add(id);
+        }
+        candidates.delete(excludeId);
+        const score = id => (hashes && entries[id].shingles
+            ? jaccard(hashes, entries[id].shingles)
+            : similarity(signature, entries[id].signature));
+        return [...candidates]
+            .map(id => ({ jobId: id, similarity: score(id), title: entries[id].title, requesterId: entries[id].requesterId }))
+            .filter(m => m.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * Fingerprint a job, record it, and return its near-duplicates among the
+     * jobs seen before it.
+     */
+    function add(job, at = new Date().toISOString()) {
+        const id = job.job_id || job.id || job.jobId;
+        const shingleSet = shingles(job);
+        const signature = minhash(shingleSet);
+        if (!signature) return [];
+        const hashes = shingleHashes(shingleSet);
+
+        const known = entries[id];
+        if (known && known.signature !== signature) unindex(id, known.signature);
+        entries[id] = {
+            signature,
+            shingles: hashes,
+            title: job.title || '(untitled)',
+            requesterId: job.creator_agent_id || job.requesterId || null,
+            firstSeen: known ? known.firstSeen : at,
+            lastSeen: at,
+        };
+        if (!known || known.signature !== signature) index(id, signature);
+        return match(signature, id, hashes);
+    }
+
+    /**
+     * Near-duplicates of a job, without recording it.
+     */
+    function matchJob(job) {
+        const shingleSet = shingles(job);
+        return match(minhash(shingleSet), job.job_id || job.id || job.jobId, shingleHashes(shingleSet));
+    }
+
+    /**
+     * Drop the least recently seen fingerprints beyond `maxTracked`.
+     */
+    function prune() {
+        const ids = Object.keys(entries);
+        if (ids.length <= maxTracked) return 0;
+        ids.sort((a, b) => entries[b].lastSeen.localeCompare(entries[a].lastSeen));
+        for (const id of ids.slice(maxTracked)) {
+            unindex(id, entries[id].signature);
+            delete entries[id];
+        }
+        return ids.length - maxTracked;
+    }
+
+    /**
+     * Groups of two or more near-duplicate jobs (connected components),
+     * largest first.
+     */
+    function clusters() {
+        const parent = {};
+        const find = id => (parent[id] === id ? id : (parent[id] = find(parent[id])));
+        for (const id of Object.keys(entries)) parent[id] = id;
+        for (const id of Object.keys(entries)) {
+            for (const m of match(entries[id].signature, id, entries[id].shingles)) parent[find(m.jobId)] = find(id);
+        }
+        const groups = {};
+        for (const id of Object.keys(entries)) (groups[find(id)] ||= []).push(id);
+        return Object.values(groups)
+            .filter(g => g.length > 1)
+            .map(g => g.sort((a, b) => entries[a].firstSeen.localeCompare(entries[b].firstSeen)))
+            .sort((a, b) => b.length - a.length);
+    }
+
+    return { add, match, matchJob, prune, clusters, entries };
+}
+
+module.exports = {
+    shingles,
+    minhash,
+    fingerprint,
+    similarity,
+    shingleHashes,
+    jaccard,
+    createFingerprintIndex,
+    DEFAULT_DEDUPE,
+    NUM_HASHES,
+};
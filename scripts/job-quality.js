@@ -0,0 +1,148 @@
+/**
+ * Weighted, explainable job quality scoring.
+ *
+ * Each factor scores a job from 0 to 1 and carries a one-line explanation;
+ * the total is the weighted mean scaled to 0–100. Weights, the bid
+ * threshold and factor tuning live under `quality` in config.json.
+ */
+
+const DEFAULT_QUALITY = {
+    minScore: 45,
+    weights: {
+        budget: 15,
+        specificity: 20,
+        acceptanceCriteria: 15,
+        requesterHistory: 10,
+        deadline: 15,
+        skillFit: 15,
+        competition: 10,
+    },
+    fullBudget: 5,              // NEAR at which the budget factor maxes out
+    preferredLanguages: ['Rust', 'Python'],
+    buildHours: 2,              // rough wall-clock per build, for deadline feasibility
+    crowdedAt: 8,               // bid count at which competition scores 0.5
+};
+
+// Which CONFIG.skills entry covers each category
+const CATEGORY_SKILLS = {
+    'analytics': ['data'],
+    'security': ['security', 'code_review'],
+    'smart-contract': ['developer'],
+    'data': ['data'],
+    'bot': ['developer', 'openclaw'],
+    'backend': ['developer'],
+    'frontend': ['developer'],
+    'documentation': ['documentation'],
+    'testing': ['testing', 'code_review'],
+    'general': ['creative'],
+};
+
+const CRITERIA_HEADING = /\b(acceptance criteria|requirements|deliverables|definition of done|must[- ]haves?)\b/i;
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+\S/gm;
+const OBLIGATION = /\b(must|should|needs? to|required)\b/gi;
+
+function clamp01(x) {
+    return Math.max(0, Math.min(1, x));
+}
+
+const FACTORS = {
+    budget(job, ctx, opts) {
+        const budget = parseFloat(job.budget_amount || 0);
+        if (job.budget_amount === null || job.budget_amount === undefined) return [0.5, 'no budget listed'];
+        return [clamp01(budget / opts.fullBudget), `${budget} NEAR (full marks at ${opts.fullBudget})`];
+    },
+
+    specificity(job, { keywords }) {
+        const words = (job.description || '').split(/\s+/).filter(Boolean).length;
+        const terms = keywords ? keywords.matches.length : 0;
+        const value = 0.6 * clamp01(words / 150) + 0.4 * clamp01(terms / 5);
+        return [value, `${words} words, ${terms} technical term(s)`];
+    },
+
+    acceptanceCriteria(job) {
+        const desc = job.description || '';
+        const items = (desc.match(LIST_ITEM) || []).length;
+        const obligations = (desc.match(OBLIGATION) || []).length;
+        if (CRITERIA_HEADING.test(desc)) return [1, 'explicit criteria section'];
+        if (items >= 3) return [0.8, `${items} listed requirements`];
+        if (items > 0 || obligations >= 2) return [0.5, `${items} list item(s), ${obligations} must/should statement(s)`];
+        return [obligations ? 0.25 : 0, 'no stated acceptance criteria'];
+    },
+
+    requesterHistory(job, { requester }) {
+        if (!requester || requester.jobs === 0) return [0.5, 'unknown requester'];
+        const { jobs, paid, disputes, changesPerDelivery } = requester;
+        // Disputes weigh double; one pseudo-job each way keeps a single outcome from dominating
+        const reliability = (paid + 1) / (paid + 2 * disputes + 2);
+        // Every change request per delivery costs a quarter, down to half marks
+        const churn = 1 - Math.min(0.5, (changesPerDelivery || 0) / 4);
+        const detail = [`${jobs} past job(s): ${paid} paid, ${disputes} disputed`];
+        if (changesPerDelivery !== null) detail.push(`${changesPerDelivery.toFixed(1)} change request(s) per delivery`);
+        if (requester.payoutReliability !== null) detail.push(`${Math.round(requester.payoutReliability * 100)}% paid out`);
+        return [reliability * churn, detail.join(', ')];
+    },
+
+    deadline(job, { capacity = {}, now = Date.now() }, opts) {
+        const due = job.deadline || job.expires_at;
+        if (!due) return [0.7, 'no deadline'];
+        const hoursLeft = (Date.parse(due) - now) / 3600000;
+        if (!Number.isFinite(hoursLeft)) return [0.7, `unparseable deadline ${due}`];
+        // Our queue drains at `workers` builds at a time before this one starts
+        const queued = capacity.queued || 0;
+        const workers = Math.max(1, capacity.workers || 1);
+        const needed = (Math.floor(queued / workers) + 1) * opts.buildHours;
+        const ratio = hoursLeft / needed;
+        return [clamp01((ratio - 1) / 2), `${hoursLeft.toFixed(1)}h left vs ~${needed}h needed with ${queued} queued`];
+    },
+
+    skillFit(job, { category, skills = [], keywords }, opts) {
+        const wanted = CATEGORY_SKILLS[category] || [];
+        const covered = wanted.filter(s => skills.includes(s));
+        const tagHit = (job.tags || []).some(t => skills.includes(t));
+        const langs = keywords ? keywords.languages.filter(l => opts.preferredLanguages.includes(l)) : [];
+        let value = covered.length ? 0.8 : tagHit ? 0.5 : 0.2;
+        if (langs.length) value += 0.2;
+        const detail = covered.length ? `${category} → ${covered.join('/')}` : `${category} not in skills`;
+        return [clamp01(value), langs.length ? `${detail}, prefers ${langs.join('/')}` : detail];
+    },
+
+    competition(job, ctx, opts) {
+        const bids = job.bid_count || 0;
+        return [opts.crowdedAt / (opts.crowdedAt + bids), `${bids} bid(s)`];
+    },
+};
+
+/**
+ * Score a job.
+ *
+ * @param {object} job - a job from GET /jobs
+ * @param {object} ctx
+ * @param {object} [ctx.quality] - config.quality overrides
+ * @param {string} ctx.category
+ * @param {string[]} ctx.skills - CONFIG.skills
+ * @param {object} [ctx.keywords] - extractJobKeywords output
+ * @param {object} [ctx.requester] - { jobs, paid, disputed } for the job's creator
+ * @param {object} [ctx.capacity] - { queued, workers } build queue depth
+ * @returns {{ score: number, factors: { name, value, weight, points, detail }[] }}
+ */
+function scoreJob(job, ctx) {
+    const opts = { ...DEFAULT_QUALITY, ...ctx.quality, weights: { ...DEFAULT_QUALITY.weights, ...(ctx.quality || {}).weights } };
+    const totalWeight = Object.values(opts.weights).reduce((a, b) => a + b, 0) || 1;
+
+    const factors = Object.entries(opts.weights).filter(([name]) => FACTORS[name]).map(([name, weight]) => {
+        const [value, detail] = FACTORS[name](job, ctx, opts);
+        return { name, value: +value.toFixed(3), weight, points: +((value * weight * 100) / totalWeight).toFixed(1), detail };
+    });
+    const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+    return { score, factors };
+}
+
+/**
+ * One-line breakdown for logs: "budget 15.0/15 · specificity 8.2/20 · …".
+ */
+function formatBreakdown({ factors }) {
+    const total = factors.reduce((sum, f) => sum + f.weight, 0) || 1;
+    return factors.map(f => `${f.name} ${f.points}/${+((f.weight * 100) / total).toFixed(1)}`).join(' · ');
+}
+
+module.exports = { DEFAULT_QUALITY, CATEGORY_SKILLS, FACTORS, scoreJob, formatBreakdown };
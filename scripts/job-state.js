@@ -0,0 +1,133 @@
+/**
+ * Job lifecycle state machine.
+ *
+ * Every job we bid on gets one record in STATE.jobs (keyed by job id) whose
+ * `status` only moves along the edges below. Each move is stamped into the
+ * record's `history`, so a job's whole life — bid, award, rework, payout —
+ * can be read back from state.json.
+ *
+ *   bid_pending → awarded → working → delivered → paid
+ *   delivered → changes_requested → working (rework)
+ *   delivered → disputed → paid
+ *   bid_pending → bid_rejected, and any open state → expired
+ */
+
+const JOB_STATES = [
+    'bid_pending', 'bid_rejected', 'awarded', 'working', 'delivered',
+    'changes_requested', 'disputed', 'paid', 'expired',
+];
+
+const TRANSITIONS = {
+    bid_pending: ['awarded', 'bid_rejected', 'expired'],
+    awarded: ['working', 'expired'],
+    // A failed build or delivery attempt returns the job to where it came from
+    working: ['delivered', 'awarded', 'changes_requested', 'expired'],
+    delivered: ['paid', 'changes_requested', 'disputed', 'expired'],
+    changes_requested: ['working', 'expired'],
+    disputed: ['paid', 'changes_requested', 'expired'],
+    bid_rejected: [],
+    paid: [],
+    expired: [],
+};
+
+// States that hold one of our work slots (used for capacity and the work queue)
+const HELD_STATES = ['awarded', 'working', 'changes_requested'];
+// States waiting on the requester after we delivered
+const REVIEW_STATES = ['delivered', 'disputed'];
+
+const STATE_VERSION = 2;
+
+class InvalidTransitionError extends Error {
+    constructor(job, to) {
+        super(`Invalid transition for job ${job.jobId}: ${job.status} → ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.jobId = job.jobId;
+        this.from = job.status;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Create a new job record in its initial state.
+ */
+function createJobRecord(fields, status = 'bid_pending', { at, note } = {}) {
+    if (!JOB_STATES.includes(status)) throw new Error(`Unknown job state: ${status}`);
+    const ts = at || new Date().toISOString();
+    return {
+        ...fields,
+        status,
+        history: [{ status, at: ts, ...(note ? { note } : {}) }],
+        updatedAt: ts,
+    };
+}
+
+/**
+ * Move a job record to a new state, validating the edge and recording it.
+ * Throws InvalidTransitionError for edges not in TRANSITIONS unless `force`
+ * is set — reserved for reconciling against the server, where the market is
+ * the source of truth and the forced move is flagged in the history.
+ */
+function transition(job, to, note, { force = false } = {}) {
+    if (!force && !canTransition(job.status, to)) throw new InvalidTransitionError(job, to);
+    if (!JOB_STATES.includes(to)) throw new Error(`Unknown job state: ${to}`);
+    const at = new Date().toISOString();
+    job.history = job.history || [];
+    job.history.push({ status: to, at, from: job.status, ...(note ? { note } : {}), ...(force ? { forced: true } : {}) });
+    job.status = to;
+    job.updatedAt = at;
+    return job;
+}
+
+function jobsIn(jobs, ...statuses) {
+    return Object.values(jobs).filter(j => statuses.includes(j.status));
+}
+
+/**
+ * Migrate a state.json written before the state machine (version 1: jobs
+ * spread across pendingBids / activeJobs / deliveredJobs / paidJobs /
+ * completedJobs) into a `jobs` map. Later arrays win, so a job that sits in
+ * both pendingBids and paidJobs ends up `paid`.
+ */
+function migrateState(saved) {
+    if (saved.version >= STATE_VERSION) return saved;
+
+    const jobs = { ...(saved.jobs || {}) };
+    const legacy = [
+        ['pendingBids', 'bid_pending', 'placedAt'],
+        ['activeJobs', 'awarded', null],
+        ['deliveredJobs', 'delivered', 'deliveredAt'],
+        ['completedJobs', 'paid', 'paidAt'],
+        ['paidJobs', 'paid', 'paidAt'],
+    ];
+    for (const [key, status, tsField] of legacy) {
+        for (const entry of saved[key] || []) {
+            if (!entry || !entry.jobId) continue;
+            const { status: _, ...fields } = entry;
+            jobs[entry.jobId] = createJobRecord({ ...(jobs[entry.jobId] || {}), ...fields }, status, {
+                at: (tsField && entry[tsField]) || undefined,
+                note: `migrated from ${key}`,
+            });
+        }
+    }
+
+    const { pendingBids, activeJobs, deliveredJobs, paidJobs, completedJobs, ...rest } = saved;
+    return { ...rest, jobs, version: STATE_VERSION };
+}
+
+module.exports = {
+    JOB_STATES,
+    TRANSITIONS,
+    HELD_STATES,
+    REVIEW_STATES,
+    STATE_VERSION,
+    InvalidTransitionError,
+    canTransition,
+    createJobRecord,
+    transition,
+    jobsIn,
+    migrateState,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { tokenizeWithSpans } = require('./text-tokens.js');
+
+/**
+ * Dictionary-driven keyword extraction over whole tokens.
+ *
+ * The dictionary (scripts/job-keywords.json) maps group → label → synonyms.
+ * A label is either a plain list of terms or an object:
+ *   terms          terms subject to the rules below
+ *   always         terms that match unconditionally (e.g. "golang")
+ *   caseSensitive  compare `terms` as written ("Go", "Move", "Base")
+ *   requireNear    one of these tokens must occur within `window` tokens
+ *   window         distance for requireNear (default 4)
+ *   notBefore      veto when the previous token is one of these ("to move")
+ *   notAfter       veto when the next token is one of these ("move funds")
+ * Multi-word terms ("rest api") match consecutive tokens.
+ */
+
+const RULE_KEYS = ['terms', 'always', 'caseSensitive', 'requireNear', 'window', 'notBefore', 'notAfter'];
+const DEFAULT_WINDOW = 4;
+
+function termTokens(term, caseSensitive) {
+    return tokenizeWithSpans(term).map(t => (caseSensitive ? t.raw : t.token));
+}
+
+function compileEntry(group, label, spec, source) {
+    const rules = Array.isArray(spec) ? { always: spec } : spec;
+    for (const key of Object.keys(rules)) {
+        if (!RULE_KEYS.includes(key)) throw new Error(`${source}: unknown rule "${key}" in ${group}.${label}`);
+    }
+    const lower = list => new Set((list || []).map(t => t.toLowerCase()));
+    const base = {
+        group,
+        label,
+        requireNear: rules.requireNear ? lower(rules.requireNear) : null,
+        window: rules.window || DEFAULT_WINDOW,
+        notBefore: lower(rules.notBefore),
+        notAfter: lower(rules.notAfter),
+    };
+    const terms = [];
+    for (const term of rules.always || []) {
+        terms.push({ ...base, term, tokens: termTokens(term, false), caseSensitive: false, unconditional: true });
+    }
+    for (const term of rules.terms || []) {
+        terms.push({ ...base, term, tokens: termTokens(term, !!rules.caseSensitive), caseSensitive: !!rules.caseSensitive });
+    }
+    return terms;
+}
+
+/**
+ * Load and compile a keyword dictionary. Terms are indexed by their first
+ * token so extraction is one lookup per token.
+ */
+function loadDictionary(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const groups = Object.keys(raw).filter(k => !k.startsWith('$'));
+    const index = new Map();
+
+    for (const group of groups) {
+        for (const [label, spec] of Object.entries(raw[group])) {
+            for (const term of compileEntry(group, label, spec, filePath)) {
+                if (term.tokens.length === 0) continue;
+                const key = term.tokens[0].toLowerCase();
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(term);
+            }
+        }
+    }
+    return { groups, index };
+}
+
+function matchesAt(tokens, i, term) {
+    if (i + term.tokens.length > tokens.length) return false;
+    return term.tokens.every((t, k) => (term.caseSensitive ? tokens[i + k].raw : tokens[i + k].token) === t);
+}
+
+function passesRules(tokens, i, term) {
+    if (term.unconditional) return true;
+    const last = i + term.tokens.length - 1;
+    if (i > 0 && term.notBefore.has(tokens[i - 1].token)) return false;
+    if (last + 1 < tokens.length && term.notAfter.has(tokens[last + 1].token)) return false;
+    if (term.requireNear) {
+        const from = Math.max(0, i - term.window);
+        const to = Math.min(tokens.length - 1, last + term.window);
+        for (let k = from; k <= to; k++) {
+            if ((k < i || k > last) && term.requireNear.has(tokens[k].token)) return true;
+        }
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Extract keywords from `text`.
+ *
+ * @returns {object} one array of labels per dictionary group (first match
+ *   order), plus `matches`: [{ group, label, term, start, end, text }] where
+ *   `text` is the requester's own wording (`source.slice(start, end)`).
+ */
+function extractKeywords(text, dictionary) {
+    const source = String(text || '');
+    const tokens = tokenizeWithSpans(source);
+    const result = Object.fromEntries(dictionary.groups.map(g => [g, []]));
+    const found = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        for (const term of dictionary.index.get(tokens[i].token) || []) {
+            if (!matchesAt(tokens, i, term) || !passesRules(tokens, i, term)) continue;
+            const start = tokens[i].start;
+            const end = tokens[i + term.tokens.length - 1].end;
+            found.push({ group: term.group, label: term.label, term: term.term, start, end, text: source.slice(start, end) });
+        }
+    }
+
+    // "audit report" and the "report" inside it are one mention of the label
+    const matches = found.filter(m => !found.some(o => o !== m && o.label === m.label && o.group === m.group
+        && o.start <= m.start && o.end >= m.end && o.end - o.start > m.end - m.start));
+    for (const m of matches) {
+        if (!result[m.group].includes(m.label)) result[m.group].push(m.label);
+    }
+    return { ...result, matches };
+}
+
+/**
+ * The clause around a match, for quoting the requester back to them.
+ * Cut at sentence punctuation or line breaks and capped at `maxChars`.
+ */
+function quoteMatch(text, match, maxChars = 120) {
+    const source = String(text || '');
+    const boundary = /[.;!?\n]/;
+    let start = match.start;
+    while (start > 0 && !boundary.test(source[start - 1]) && match.end - start < maxChars) start--;
+    let end = match.end;
+    while (end < source.length && !boundary.test(source[end]) && end - start < maxChars) end++;
+    return source.slice(start, end).replace(/\s+/g, ' ').trim().replace(/^[-*•]\s*/, '');
+}
+
+module.exports = { loadDictionary, extractKeywords, quoteMatch };
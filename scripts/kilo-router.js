@@ -1,5 +1,7 @@
-const { execSync } = require('child_process');
-const fs = require('fs');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
 
 /**
  * Intelligent Kilo Model Switcher
@@ -13,16 +15,23 @@ const FREE_MODELS = [
     'kilo/corethink:free'
 ];
 
-function runKiloCommand(workDir, promptFile) {
+/**
+ * `timeout` caps each model attempt; `totalTimeout` caps the whole run, so
+ * no attempt outlives it and no model is tried once it is spent.
+ */
+async function runKiloCommand(workDir, promptFile, { timeout = 600000, totalTimeout = Infinity } = {}) {
+    const deadline = Date.now() + totalTimeout;
     for (const model of FREE_MODELS) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) throw new Error(`Kilo deadline of ${Math.round(totalTimeout / 1000)}s spent`);
         try {
             console.log(`[KILO-ROUTER] Attempting build with model: ${model}`);
             const kiloCmd = `powershell -Command "cd '${workDir}'; C:\\Users\\HP\\AppData\\Roaming\\npm\\kilo.cmd run -m ${model} --prompt (Get-Content '${promptFile}' -Raw)"`;
             
-            const output = execSync(kiloCmd, { 
-                timeout: 600000, 
+            const { stdout: output } = await execAsync(kiloCmd, {
+                timeout: Math.min(timeout, remaining),
                 encoding: 'utf8',
-                stdio: ['pipe', 'pipe', 'pipe'] 
+                maxBuffer: 1024 * 1024 * 10
             });
             
             console.log(`[KILO-ROUTER] Success with ${model}`);
@@ -35,4 +44,16 @@ function runKiloCommand(workDir, promptFile) {
     throw new Error("All free Kilo models exhausted or failed.");
 }
 
-module.exports = { runKiloCommand };
+/**
+ * The message text of an agent reply; `--json` output wraps it in
+ * { reply | message | content }.
+ */
+function agentReply(output) {
+    try {
+        const json = JSON.parse(output);
+        if (json.reply || json.message || json.content) return json.reply || json.message || json.content;
+    } catch (e) { /* not JSON, use raw output */ }
+    return output;
+}
+
+module.exports = { runKiloCommand, agentReply };
@@ -0,0 +1,206 @@
+const https = require('https');
+const http = require('http');
+const fs = require('fs');
+const { RETRY, DEFAULT_BACKOFF, createTokenBucket, backoffDelay, parseRetryAfter, shouldRetry, sleep } = require('./request-policy.js');
+
+/**
+ * Shared NEAR Agent Market API client.
+ *
+ * Every script talks to the market through this module so that pointing
+ * NEAR_MARKET_API_URL (or the `baseUrl` option) at a local mock server is
+ * enough to exercise the whole bot offline.
+ *
+ * All methods resolve to `{ status, data }` for any HTTP response (the body is
+ * parsed as JSON when possible). Transport failures — timeouts, refused
+ * connections, DNS errors — reject with a MarketApiError once retries are
+ * exhausted. Every call goes through the client's token bucket and retry
+ * policy (see request-policy.js).
+ */
+
+const DEFAULT_BASE_URL = 'https://market.near.ai/v1';
+const DEFAULT_TIMEOUT = 30000;
+
+class MarketApiError extends Error {
+    constructor(message, { method, path, code, status, cause } = {}) {
+        super(message);
+        this.name = 'MarketApiError';
+        this.method = method;
+        this.path = path;
+        this.code = code || 'ENETWORK';
+        if (status) this.status = status;
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * Parse a KEY=value env file into a plain object.
+ */
+function parseEnvFile(filePath) {
+    const vars = {};
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+        const match = line.trim().match(/^([^=#]+)=(.*)$/);
+        if (match) vars[match[1].trim()] = match[2].trim();
+    });
+    return vars;
+}
+
+function toQueryString(query) {
+    if (!query) return '';
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) params.append(key, String(value));
+    }
+    const qs = params.toString();
+    return qs ? `?${qs}` : '';
+}
+
+/**
+ * Create a market client.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey - Bearer token (NEAR_MARKET_API_KEY)
+ * @param {string} [options.baseUrl] - e.g. https://market.near.ai/v1 or http://localhost:8787/v1
+ * @param {number} [options.timeout] - per-request timeout in ms
+ * @param {object} [options.rateLimit] - token bucket `{ ratePerSecond, burst }`
+ * @param {object} [options.backoff] - `{ maxRetries, baseDelay, maxDelay }` in ms
+ * @param {function} [options.onRetry] - called with `{ method, path, attempt, delay, reason }`
+ */
+function createMarketClient({ apiKey, baseUrl, timeout = DEFAULT_TIMEOUT, rateLimit, backoff, onRetry } = {}) {
+    const base = new URL(baseUrl || process.env.NEAR_MARKET_API_URL || DEFAULT_BASE_URL);
+    const transport = base.protocol === 'http:' ? http : https;
+    const basePath = base.pathname.replace(/\/+$/, '');
+    const bucket = createTokenBucket(rateLimit);
+    const { maxRetries, ...delays } = { ...DEFAULT_BACKOFF, ...backoff };
+
+    /**
+     * Single HTTP attempt.
+     */
+    function send(method, apiPath, body) {
+        return new Promise((resolve, reject) => {
+            const bodyStr = body ? JSON.stringify(body) : null;
+            const options = {
+                hostname: base.hostname,
+                port: base.port || (base.protocol === 'http:' ? 80 : 443),
+                path: `${basePath}${apiPath}`,
+                method,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                },
+                timeout,
+            };
+            if (bodyStr) options.headers['Content-Length'] = Buffer.byteLength(bodyStr);
+
+            const req = transport.request(options, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => {
+                    let parsed = data;
+                    try { parsed = JSON.parse(data); } catch (e) { /* keep raw body */ }
+                    resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+                });
+            });
+
+            req.on('timeout', () => {
+                req.destroy(new MarketApiError(`Request timeout: ${method} ${apiPath}`, { method, path: apiPath, code: 'ETIMEDOUT' }));
+            });
+            req.on('error', (e) => {
+                reject(e instanceof MarketApiError
+                    ? e
+                    : new MarketApiError(`${method} ${apiPath} failed: ${e.message}`, { method, path: apiPath, code: e.code, cause: e }));
+            });
+            if (bodyStr) req.write(bodyStr);
+            req.end();
+        });
+    }
+
+    /**
+     * Rate-limited request with retries. GETs default to the idempotent
+     * policy; every other method only retries a 429 unless told otherwise.
+     */
+    async function request(method, apiPath, body = null, { retry } = {}) {
+        const policy = retry || (method === 'GET' ? RETRY.IDEMPOTENT : RETRY.RATE_LIMIT_ONLY);
+
+        for (let attempt = 0; ; attempt++) {
+            await bucket.take();
+            let outcome;
+            try {
+                outcome = await send(method, apiPath, body);
+            } catch (error) {
+                outcome = { error };
+            }
+
+            if (attempt >= maxRetries || !shouldRetry(policy, outcome)) {
+                if (outcome.error) throw outcome.error;
+                return outcome;
+            }
+
+            const retryAfter = outcome.status === 429 ? parseRetryAfter(outcome.headers['retry-after']) : null;
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, delays);
+            if (outcome.status === 429) bucket.pause(delay);
+            if (onRetry) {
+                const reason = outcome.error ? outcome.error.message : `HTTP ${outcome.status}`;
+                onRetry({ method, path: apiPath, attempt: attempt + 1, delay, reason });
+            }
+            await sleep(delay);
+        }
+    }
+
+    return { baseUrl: base.toString(), ...withMethods(request) };
+}
+
+/**
+ * Build the typed API surface on top of `request(method, path, body, options)`.
+ * Bid and message POSTs keep the default (429-only) retry policy: repeating
+ * them after an ambiguous failure could place a duplicate bid or message.
+ */
+function withMethods(request) {
+    return {
+        request,
+
+        // Jobs
+        listJobs: (query) => request('GET', `/jobs${toQueryString(query)}`),
+        getJob: (jobId) => request('GET', `/jobs/${jobId}`),
+
+        // Bids
+        placeBid: (jobId, { amount, eta_seconds, proposal }) =>
+            request('POST', `/jobs/${jobId}/bids`, { amount, eta_seconds, proposal }),
+        listMyBids: (query) => request('GET', `/agents/me/bids${toQueryString(query)}`),
+
+        // Assignments
+        listMessages: (assignmentId) => request('GET', `/assignments/${assignmentId}/messages`),
+        sendMessage: (assignmentId, body) => request('POST', `/assignments/${assignmentId}/messages`, { body }),
+
+        // Delivery (idempotent per API docs, so retried like a GET)
+        submit: (jobId, { deliverable_url, deliverable_hash }) =>
+            request('POST', `/jobs/${jobId}/submit`, { deliverable_url, deliverable_hash }, { retry: RETRY.IDEMPOTENT }),
+
+        // Wallet
+        getBalance: () => request('GET', '/wallet/balance'),
+    };
+}
+
+/**
+ * Wrap a client for dry-run / shadow mode: GET requests reach the server,
+ * everything else is handed to `record(method, path, body)` and answered
+ * with a synthetic 200 so the caller proceeds as if the write succeeded.
+ */
+function createDryRunClient(client, record) {
+    const request = (method, apiPath, body = null, options) => {
+        if (method === 'GET') return client.request(method, apiPath, body, options);
+        record(method, apiPath, body);
+        return Promise.resolve({ status: 200, data: { dry_run: true } });
+    };
+    return { baseUrl: client.baseUrl, dryRun: true, ...withMethods(request) };
+}
+
+/**
+ * Normalize list responses: the API returns either a bare array or an
+ * object wrapping the array under a named key.
+ */
+function asList(data, key) {
+    if (Array.isArray(data)) return data;
+    return (data && data[key]) || [];
+}
+
+module.exports = { createMarketClient, createDryRunClient, parseEnvFile, asList, MarketApiError, DEFAULT_BASE_URL, RETRY };
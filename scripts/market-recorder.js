@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { createJournal } = require('./state-store.js');
+
+/**
+ * Market history recorder for backtesting.
+ *
+ * Two append-only JSONL files under the history directory:
+ *   polls.jsonl     { ts, type: 'poll', jobs }                      — every /jobs poll
+ *   outcomes.jsonl  { ts, type: 'outcome', jobId, outcome, amount,
+ *                     budget, category, strategy, template,
+ *                     experiments }                                 — how our bids resolved
+ *
+ * `outcome` is 'won', 'lost' or 'expired' when a bid resolves and 'paid'
+ * when a won job pays out.
+ */
+
+function outcomeOf(from, to) {
+    if (to === 'paid') return 'paid';
+    if (from !== 'bid_pending') return null;
+    return { awarded: 'won', bid_rejected: 'lost', expired: 'expired' }[to] || null;
+}
+
+function historyPaths(dir) {
+    return { polls: path.join(dir, 'polls.jsonl'), outcomes: path.join(dir, 'outcomes.jsonl') };
+}
+
+function createRecorder(dir) {
+    const files = historyPaths(dir);
+    const polls = createJournal(files.polls);
+    const outcomes = createJournal(files.outcomes);
+
+    return {
+        dir,
+        recordPoll(jobs) {
+            fs.mkdirSync(dir, { recursive: true });
+            polls.append('poll', { jobs });
+        },
+        /**
+         * Record a job record's move `from` → `to` if it is a bid outcome.
+         */
+        recordTransition(job, from, to) {
+            const outcome = outcomeOf(from, to);
+            if (!outcome) return;
+            fs.mkdirSync(dir, { recursive: true });
+            outcomes.append('outcome', {
+                jobId: job.jobId,
+                outcome,
+                amount: job.amount,
+                budget: job.budget,
+                category: job.category,
+                strategy: job.strategy,
+                template: job.proposalTemplate || null,
+                experiments: job.experiments || null,
+            });
+        },
+    };
+}
+
+/**
+ * Load recorded history (e.g. a fixture directory) for a backtest.
+ */
+function loadHistory(dir) {
+    const files = historyPaths(dir);
+    if (!fs.existsSync(files.polls)) throw new Error(`No recorded polls at ${files.polls}`);
+    const polls = createJournal(files.polls).read();
+    const outcomes = createJournal(files.outcomes).read();
+    return {
+        polls: polls.events.filter(e => e.type === 'poll'),
+        outcomes: outcomes.events.filter(e => e.type === 'outcome'),
+        skipped: polls.skipped + outcomes.skipped,
+    };
+}
+
+module.exports = { createRecorder, loadHistory, outcomeOf };
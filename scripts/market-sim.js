@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * Local NEAR Agent Market simulator for offline end-to-end runs.
+ *
+ * Implements the subset of the /v1 API the bot uses, backed by a scriptable
+ * scenario file (see scripts/scenarios/). Every reaction is driven by the
+ * bot's own requests, so replaying a scenario is fully deterministic:
+ *
+ *   - A bid is resolved (award / reject / expire) the next time the agent
+ *     lists its bids via GET /agents/me/bids. `expire` expires the job and
+ *     leaves the bid pending: only GET /jobs/{id} shows it.
+ *   - A submission is reviewed (accept / request-changes / dispute / expire)
+ *     the next time the agent fetches the job via GET /jobs/{id}. Each submit
+ *     consumes the next entry of the job's `review` list.
+ *   - Bidding twice on the same job returns 409. `existing_bid` seeds a bid
+ *     placed elsewhere: at startup (an earlier session, which the bot's
+ *     startup sync restores) or, with `"placed": "on_listing"`, when the job
+ *     is first listed (another instance bidding between our sync and our own
+ *     bid), so the bot's bid gets the 409.
+ *   - A job with `"posted_after": N` is only listed once the agent has
+ *     polled GET /jobs N times, like a repost that turns up later.
+ *   - POST /sim/deliverables stores a delivery's files and returns a public
+ *     URL on the simulator (GET / HEAD /deliverables/{id}, no auth), so the
+ *     bot's pre-flight check and submission run without GitHub.
+ *
+ * Usage:
+ *   node scripts/market-sim.js [scenario.json] [--port=8787]
+ *   NEAR_MARKET_API_URL=http://localhost:8787/v1 NEAR_MARKET_API_KEY=sim node scripts/auto-earn.js start
+ *
+ *   node scripts/market-sim.js [scenario.json] --run
+ *     Replays the scenario end to end: starts the simulator, runs
+ *     `auto-earn.js start` against it in a temp data dir for the scenario's
+ *     `cycles`, then checks every job's final state against its `expect`.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'scenarios', 'lifecycle.json');
+const DEFAULT_PORT = 8787;
+const DEFAULT_RUN = {
+    cycles: 5,              // idle polling cycles before the bot stops (auto-earn --cycles)
+    timeoutSeconds: 600,
+};
+// Bot settings for a replay: fast polls, deliverables hosted here, no LLM judge
+const RUN_CONFIG = {
+    pollInterval: 1,
+    deliverableHost: 'sim',
+    recordHistory: false,
+    evaluator: { enabled: false },
+};
+
+/**
+ * Build the in-memory market from a scenario definition.
+ */
+function buildMarket(scenario) {
+    const jobs = new Map();
+    (scenario.jobs || []).forEach((def, i) => {
+        const { bid = 'pending', review = [], existing_bid: existingBid, posted_after: postedAfter = 0, expect, ...fields } = def;
+        const jobId = fields.job_id || `sim-job-${i + 1}`;
+        jobs.set(jobId, {
+            job: {
+                job_id: jobId,
+                title: `Simulated job ${i + 1}`,
+                description: '',
+                budget_amount: '1.0',
+                job_type: 'standard',
+                status: 'open',
+                bid_count: 0,
+                tags: [],
+                created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+                ...fields,
+            },
+            script: { bid, review: review.map(r => typeof r === 'string' ? { action: r } : r) },
+            bid: null,
+            existingBid: existingBid ? { index: i + 1, ...existingBid } : null,
+            // Hidden until the agent has listed jobs this many times, then dated
+            // at that moment (unless the scenario gives created_at)
+            postedAfter,
+            stampOnPost: postedAfter > 0 && !fields.created_at,
+            assignment: null,
+            pendingReview: false,
+            messages: [],
+        });
+        if (existingBid && existingBid.placed !== 'on_listing') placeExistingBid(jobs.get(jobId));
+    });
+    return {
+        jobs,
+        balance: parseFloat((scenario.wallet && scenario.wallet.balance) || 0),
+        deliverables: new Map(),
+        listings: 0,
+        requests: [],
+        seq: 0,
+    };
+}
+
+/**
+ * Seed the scenario's `existing_bid`: a bid placed outside this bot run,
+ * so bidding again returns 409.
+ */
+function placeExistingBid(entry) {
+    const { index, amount } = entry.existingBid;
+    entry.existingBid = null;
+    entry.bid = {
+        bid_id: `sim-bid-existing-${index}`,
+        job_id: entry.job.job_id,
+        amount: String(amount || '0.50'),
+        proposal: '(placed by another session)',
+        status: 'pending',
+        created_at: entry.job.created_at,
+    };
+}
+
+function nextId(market, prefix) {
+    market.seq++;
+    return `${prefix}-${market.seq}`;
+}
+
+function publicJob(entry) {
+    const job = { ...entry.job };
+    if (entry.assignment) {
+        job.my_assignments = [{ ...entry.assignment }];
+        job.worker_agent_id = 'sim-agent';
+    }
+    return job;
+}
+
+/**
+ * Resolve pending bids according to each job's scripted `bid` outcome.
+ */
+function resolveBids(market) {
+    for (const entry of market.jobs.values()) {
+        if (!entry.bid || entry.bid.status !== 'pending') continue;
+        const outcome = entry.script.bid;
+        if (outcome === 'award') {
+            entry.bid.status = 'accepted';
+            entry.job.status = 'in_progress';
+            entry.assignment = {
+                assignment_id: nextId(market, 'sim-assignment'),
+                status: 'in_progress',
+                escrow_amount: entry.bid.amount,
+            };
+        } else if (outcome === 'reject') {
+            entry.bid.status = 'rejected';
+        } else if (outcome === 'expire') {
+            entry.job.status = 'expired';
+        }
+    }
+}
+
+/**
+ * Apply the next scripted review to a submitted assignment.
+ */
+function reviewSubmission(market, entry) {
+    if (!entry.pendingReview) return;
+    entry.pendingReview = false;
+    const review = entry.script.review.shift() || { action: 'accept' };
+
+    if (review.action === 'accept') {
+        entry.assignment.status = 'accepted';
+        entry.job.status = 'completed';
+        market.balance += parseFloat(entry.bid.amount);
+    } else if (review.action === 'request-changes') {
+        entry.assignment.status = 'in_progress';
+        entry.messages.push({
+            message_id: nextId(market, 'sim-message'),
+            sender: 'requester',
+            body: review.feedback || 'Please revise the deliverable.',
+            created_at: new Date().toISOString(),
+        });
+    } else if (review.action === 'dispute') {
+        entry.assignment.status = 'disputed';
+    } else if (review.action === 'expire') {
+        entry.job.status = 'expired';
+    }
+}
+
+function paginate(list, query) {
+    const offset = parseInt(query.get('offset') || '0', 10);
+    const limit = parseInt(query.get('limit') || '50', 10);
+    return list.slice(offset, offset + limit);
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', chunk => data += chunk);
+        req.on('end', () => {
+            try { resolve(data ? JSON.parse(data) : {}); } catch (e) { resolve(null); }
+        });
+    });
+}
+
+/**
+ * Route a single request. Returns [status, body].
+ */
+async function route(market, method, pathname, query, req) {
+    let m;
+
+    if (method === 'GET' && pathname === '/jobs') {
+        const status = query.get('status');
+        const jobType = query.get('job_type');
+        // A first page is a new poll: it may reveal jobs scripted with `posted_after`
+        if (!parseInt(query.get('offset') || '0', 10)) market.listings++;
+        for (const e of market.jobs.values()) {
+            if (e.stampOnPost && e.postedAfter < market.listings) {
+                e.stampOnPost = false;
+                e.job.created_at = new Date().toISOString();
+            }
+        }
+        const list = [...market.jobs.values()]
+            .filter(e => e.postedAfter < market.listings)
+            .filter(e => (!status || e.job.status === status) && (!jobType || e.job.job_type === jobType))
+            .sort((a, b) => b.job.created_at.localeCompare(a.job.created_at));
+        const page = paginate(list, query);
+        for (const entry of page) {
+            if (entry.existingBid) placeExistingBid(entry);
+        }
+        return [200, page.map(e => e.job)];
+    }
+
+    if (method === 'GET' && (m = pathname.match(/^\/jobs\/([^/]+)$/))) {
+        const entry = market.jobs.get(m[1]);
+        if (!entry) return [404, { error: 'job not found' }];
+        reviewSubmission(market, entry);
+        return [200, publicJob(entry)];
+    }
+
+    if (method === 'POST' && (m = pathname.match(/^\/jobs\/([^/]+)\/bids$/))) {
+        const entry = market.jobs.get(m[1]);
+        if (!entry) return [404, { error: 'job not found' }];
+        if (entry.bid) return [409, { error: 'bid already exists' }];
+        if (entry.job.status !== 'open') return [400, { error: `job is ${entry.job.status}` }];
+        const body = await readBody(req);
+        if (!body || !body.amount || !body.proposal) return [400, { error: 'amount and proposal are required' }];
+        entry.bid = {
+            bid_id: nextId(market, 'sim-bid'),
+            job_id: entry.job.job_id,
+            amount: String(body.amount),
+            eta_seconds: body.eta_seconds,
+            proposal: body.proposal,
+            status: 'pending',
+            created_at: new Date().toISOString(),
+        };
+        entry.job.bid_count++;
+        return [201, entry.bid];
+    }
+
+    if (method === 'GET' && pathname === '/agents/me/bids') {
+        resolveBids(market);
+        const bids = [...market.jobs.values()].filter(e => e.bid).map(e => ({ ...e.bid }));
+        return [200, paginate(bids, query)];
+    }
+
+    if ((m = pathname.match(/^\/assignments\/([^/]+)\/messages$/))) {
+        const entry = [...market.jobs.values()].find(e => e.assignment && e.assignment.assignment_id === m[1]);
+        if (!entry) return [404, { error: 'assignment not found' }];
+        if (method === 'GET') return [200, entry.messages];
+        if (method === 'POST') {
+            const body = await readBody(req);
+            if (!body || !body.body) return [400, { error: 'body is required' }];
+            const message = {
+                message_id: nextId(market, 'sim-message'),
+                sender: 'agent',
+                body: body.body,
+                created_at: new Date().toISOString(),
+            };
+            entry.messages.push(message);
+            return [201, message];
+        }
+    }
+
+    if (method === 'POST' && (m = pathname.match(/^\/jobs\/([^/]+)\/submit$/))) {
+        const entry = market.jobs.get(m[1]);
+        if (!entry) return [404, { error: 'job not found' }];
+        if (!entry.assignment) return [403, { error: 'no assignment for this agent' }];
+        const body = await readBody(req);
+        if (!body || !body.deliverable_url) return [400, { error: 'deliverable_url is required' }];
+        // Idempotent: re-submitting an already-submitted assignment is a no-op
+        if (entry.assignment.status === 'submitted') return [200, { ...entry.assignment }];
+        if (entry.assignment.status !== 'in_progress') return [409, { error: `assignment is ${entry.assignment.status}` }];
+        entry.assignment.status = 'submitted';
+        entry.assignment.deliverable_url = body.deliverable_url;
+        entry.assignment.deliverable_hash = body.deliverable_hash;
+        entry.pendingReview = true;
+        return [200, { ...entry.assignment }];
+    }
+
+    if (method === 'POST' && pathname === '/sim/deliverables') {
+        const body = await readBody(req);
+        if (!body || !Array.isArray(body.files) || body.files.length === 0) return [400, { error: 'files are required' }];
+        const id = nextId(market, 'sim-deliverable');
+        market.deliverables.set(id, { description: body.description || '', files: body.files });
+        return [201, { id, url: `http://${req.headers.host}/deliverables/${id}` }];
+    }
+
+    if (method === 'GET' && pathname === '/wallet/balance') {
+        return [200, { balance: market.balance.toFixed(2), token: 'NEAR' }];
+    }
+
+    return [404, { error: `no route for ${method} ${pathname}` }];
+}
+
+/**
+ * Create a simulator bound to a scenario. The returned object exposes the
+ * live market state and the request log for assertions.
+ */
+function createMarketSim(scenario) {
+    const market = buildMarket(scenario);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/^\/v1/, '');
+        let status, body;
+        let m;
+
+        // Hosted deliverables are public, like a gist
+        if ((req.method === 'GET' || req.method === 'HEAD') && (m = url.pathname.match(/^\/deliverables\/([^/]+)$/))) {
+            const deliverable = market.deliverables.get(m[1]);
+            market.requests.push({ method: req.method, path: url.pathname, status: deliverable ? 200 : 404 });
+            res.writeHead(deliverable ? 200 : 404, { 'Content-Type': 'text/markdown; charset=utf-8' });
+            res.end(deliverable
+                ? deliverable.files.map(f => `=== FILE: ${f.path} ===\n${f.content}`).join('\n\n')
+                : 'deliverable not found\n');
+            return;
+        }
+
+        if (!/^Bearer \S+/.test(req.headers['authorization'] || '')) {
+            [status, body] = [401, { error: 'missing bearer token' }];
+        } else {
+            [status, body] = await route(market, req.method, pathname, url.searchParams, req);
+        }
+        market.requests.push({ method: req.method, path: pathname + url.search, status });
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+
+    return {
+        market,
+        server,
+        listen(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    resolve(`http://127.0.0.1:${server.address().port}/v1`);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+function loadScenario(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Replay a scenario end to end: run `auto-earn.js start` against a fresh
+ * simulator with its runtime files in `dataDir`, then compare every job's
+ * final local state with the scenario's `expect`.
+ *
+ * Scenario keys used here: `run` ({ cycles, timeoutSeconds }, see
+ * DEFAULT_RUN) and `config` (config.json overrides on top of RUN_CONFIG).
+ *
+ * @returns {Promise<{ ok: boolean, results: { jobId, expected, actual, ok }[], conflicts: number }>}
+ */
+async function runScenario(scenario, { dataDir, log = console.log }) {
+    const run = { ...DEFAULT_RUN, ...scenario.run };
+    const sim = createMarketSim(scenario);
+    const url = await sim.listen(0);
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify({ ...RUN_CONFIG, ...scenario.config }, null, 2));
+    log(`🧪 Replaying "${scenario.name || 'scenario'}" on ${url} (data dir ${dataDir})`);
+
+    const bot = spawn(process.execPath, [
+        path.join(__dirname, 'auto-earn.js'), 'start', `--data-dir=${dataDir}`, `--cycles=${run.cycles}`,
+    ], {
+        env: { ...process.env, NEAR_MARKET_API_URL: url, NEAR_MARKET_API_KEY: 'sim' },
+        stdio: ['ignore', 'inherit', 'inherit'],
+    });
+    const exit = await new Promise(resolve => {
+        const timer = setTimeout(() => {
+            bot.kill('SIGKILL');
+            resolve(`killed after ${run.timeoutSeconds}s`);
+        }, run.timeoutSeconds * 1000);
+        bot.on('exit', code => {
+            clearTimeout(timer);
+            resolve(code === 0 ? null : `exited with ${code}`);
+        });
+    });
+    await sim.close();
+    if (exit) log(`❌ auto-earn ${exit}`);
+
+    let jobs = {};
+    try {
+        jobs = JSON.parse(fs.readFileSync(path.join(dataDir, 'state.json'), 'utf8')).jobs || {};
+    } catch (e) {
+        log(`❌ No readable state.json in ${dataDir}: ${e.message}`);
+    }
+    const results = (scenario.jobs || [])
+        .map((def, i) => ({ jobId: def.job_id || `sim-job-${i + 1}`, expected: def.expect }))
+        .filter(r => r.expected)
+        .map(r => {
+            const actual = jobs[r.jobId] ? jobs[r.jobId].status : 'untracked';
+            return { ...r, actual, ok: actual === r.expected };
+        });
+    const conflicts = sim.market.requests.filter(r => r.status === 409).length;
+    return { ok: !exit && results.every(r => r.ok), results, conflicts };
+}
+
+module.exports = { createMarketSim, loadScenario, runScenario };
+
+if (require.main === module) {
+    const scenarioPath = process.argv.slice(2).find(a => !a.startsWith('--')) || DEFAULT_SCENARIO;
+    const scenario = loadScenario(scenarioPath);
+    if (process.argv.includes('--run')) {
+        const dataDir = process.argv.find(a => a.startsWith('--data-dir='))?.split('=')[1]
+            || fs.mkdtempSync(path.join(os.tmpdir(), 'near-sim-'));
+        runScenario(scenario, { dataDir }).then(({ ok, results, conflicts }) => {
+            console.log(`\n🧪 ${path.basename(scenarioPath)}: ${results.filter(r => r.ok).length}/${results.length} jobs ended as expected, ${conflicts} bid conflict(s) (409)`);
+            for (const r of results) {
+                console.log(`   ${r.ok ? '✅' : '❌'} ${r.jobId.padEnd(22)} ${r.actual}${r.ok ? '' : ` (expected ${r.expected})`}`);
+            }
+            console.log(`   State, journal and earnings.log kept in ${dataDir}`);
+            process.exitCode = ok ? 0 : 1;
+        });
+    } else {
+        const port = parseInt(process.argv.find(a => a.startsWith('--port='))?.split('=')[1] || DEFAULT_PORT, 10);
+        const sim = createMarketSim(scenario);
+        sim.listen(port).then(url => {
+            console.log(`🧪 Market simulator (${path.basename(scenarioPath)}) listening on ${url}`);
+        });
+    }
+}
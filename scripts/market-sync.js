@@ -0,0 +1,91 @@
+const { HELD_STATES, REVIEW_STATES } = require('./job-state.js');
+const { fetchAllBids } = require('./pagination.js');
+
+/**
+ * Reconcile local job state against the Market API.
+ *
+ * The server is the source of truth: every bid we ever placed is listed by
+ * GET /agents/me/bids, and for accepted bids GET /jobs/{id} → my_assignments
+ * tells us whether we are still working, have delivered, are disputed or got
+ * paid. This module only reads from the market and computes the drift;
+ * auto-earn.js applies it through the job state machine.
+ */
+
+/**
+ * Map a bid (plus job details, when fetched) to our lifecycle state.
+ * `localStatus` disambiguates an in_progress assignment: on work we had
+ * delivered (or that was disputed) it means the requester asked for changes.
+ */
+function serverStatusOf(bid, jobDetails, localStatus = null) {
+    if (bid.status === 'pending') return jobDetails && jobDetails.status === 'expired' ? 'expired' : 'bid_pending';
+    if (bid.status === 'rejected') return 'bid_rejected';
+    if (bid.status !== 'accepted') return 'expired';
+
+    if (!jobDetails) return 'awarded';
+    const assignments = jobDetails.my_assignments || [];
+    const mine = assignments.find(a => a.status === 'in_progress') || assignments[0];
+
+    if (jobDetails.status === 'completed' || (mine && mine.status === 'accepted')) return 'paid';
+    if (jobDetails.status === 'closed' && jobDetails.worker_agent_id) return 'paid';
+    if (jobDetails.status === 'expired') return 'expired';
+    if (!mine) return 'awarded';
+    if (mine.status === 'submitted') return 'delivered';
+    if (mine.status === 'disputed') return 'disputed';
+    if (mine.status === 'in_progress' && REVIEW_STATES.includes(localStatus)) return 'changes_requested';
+    return 'awarded';
+}
+
+/**
+ * The server cannot tell awarded, working and changes_requested apart
+ * (all are an in_progress assignment), so any held state matches `awarded`.
+ */
+function isConsistent(localStatus, serverStatus) {
+    if (localStatus === serverStatus) return true;
+    return serverStatus === 'awarded' && HELD_STATES.includes(localStatus);
+}
+
+// Terminal local states each bid status can end in. The market lists a bid
+// as accepted or pending forever, so a job settled like this is not fetched again
+const SETTLED = {
+    accepted: ['paid', 'expired'],
+    pending: ['expired'],
+    rejected: ['bid_rejected'],
+};
+
+function isSettled(localStatus, bidStatus) {
+    return (SETTLED[bidStatus] || []).includes(localStatus);
+}
+
+/**
+ * Fetch the server's view of our bids and diff it against `localJobs`.
+ * Only held, in-review, pending and untracked jobs cost a GET /jobs/{id}.
+ *
+ * @returns {Promise<{ bidJobIds: string[], drift: object[], unknownToServer: object[] }>}
+ *   drift entries: { jobId, local (null if untracked), server, bid, jobDetails }
+ */
+async function reconcile(market, localJobs) {
+    const bids = await fetchAllBids(market);
+    const drift = [];
+
+    for (const bid of bids) {
+        const local = localJobs[bid.job_id];
+        if (local && isSettled(local.status, bid.status)) continue;
+        let jobDetails = null;
+        // Accepted bids need my_assignments, pending ones the job status (it may
+        // have expired under the bid), untracked ones title/description
+        if (bid.status === 'accepted' || bid.status === 'pending' || !local) {
+            const res = await market.getJob(bid.job_id);
+            if (res.status === 200) jobDetails = res.data;
+        }
+        const server = serverStatusOf(bid, jobDetails, local ? local.status : null);
+        if (local && isConsistent(local.status, server)) continue;
+        drift.push({ jobId: bid.job_id, local: local ? local.status : null, server, bid, jobDetails });
+    }
+
+    const serverIds = new Set(bids.map(b => b.job_id));
+    const unknownToServer = Object.values(localJobs).filter(j => !serverIds.has(j.jobId));
+
+    return { bidJobIds: [...serverIds], drift, unknownToServer };
+}
+
+module.exports = { reconcile, serverStatusOf, isConsistent, isSettled };
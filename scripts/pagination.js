@@ -0,0 +1,107 @@
+const { asList, MarketApiError } = require('./market-client.js');
+
+/**
+ * Pagination helpers for the Market API list endpoints.
+ *
+ * The API pages with `limit` + `offset`; if a response ever wraps its items
+ * in an object carrying `next_cursor`, the helpers switch to `cursor=`
+ * paging instead. A short page (fewer than `limit` items) ends the walk.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Walk every page of a list endpoint, yielding items one at a time.
+ *
+ * @param {function} fetchPage - `(pageQuery) => Promise<{ status, data }>`
+ * @param {object} options
+ * @param {string} options.key - wrapper key for object responses ('jobs', 'bids')
+ * @param {number} [options.pageSize]
+ * @param {number} [options.maxPages] - safety cap on pages walked
+ */
+async function* paginate(fetchPage, { key, pageSize = DEFAULT_PAGE_SIZE, maxPages = Infinity }) {
+    let offset = 0;
+    let cursor = null;
+
+    for (let page = 0; page < maxPages; page++) {
+        const pageQuery = cursor ? { limit: pageSize, cursor } : { limit: pageSize, offset };
+        const res = await fetchPage(pageQuery);
+        if (res.status !== 200) {
+            throw new MarketApiError(`Listing ${key} failed (HTTP ${res.status}) on page ${page + 1}`, {
+                method: 'GET', code: 'EHTTP', status: res.status,
+            });
+        }
+
+        const items = asList(res.data, key);
+        for (const item of items) yield item;
+
+        const next = res.data && !Array.isArray(res.data) ? res.data.next_cursor : null;
+        if (next) {
+            cursor = next;
+        } else if (items.length < pageSize) {
+            return;
+        } else {
+            offset += items.length;
+        }
+    }
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+/**
+ * Every bid the agent has placed, across all pages.
+ */
+function fetchAllBids(market, { pageSize, maxPages } = {}) {
+    return collect(paginate(q => market.listMyBids(q), { key: 'bids', pageSize, maxPages }));
+}
+
+/**
+ * Every job matching `query`, across all pages.
+ */
+function fetchAllJobs(market, query = {}, { pageSize, maxPages } = {}) {
+    return collect(paginate(q => market.listJobs({ ...query, ...q }), { key: 'jobs', pageSize, maxPages }));
+}
+
+/**
+ * Jobs created at or after `since` (an ISO timestamp; null fetches
+ * everything) that are not in `seenIds`. Pages newest-first and stops at the
+ * first job older than the cursor, so a steady-state poll costs a single
+ * page. Jobs sharing the cursor's timestamp (second-resolution clocks, jobs
+ * posted together) are fetched again and skipped by id, so none is lost.
+ *
+ * @returns {Promise<{ jobs: object[], cursor: string|null, cursorIds: string[] }>}
+ *   `cursor` is the newest created_at seen and `cursorIds` the jobs created at
+ *   exactly that time: pass them as `since` / `seenIds` on the next poll.
+ */
+async function fetchJobsSince(market, query = {}, since = null, { pageSize, maxPages, seenIds = [] } = {}) {
+    const jobs = [];
+    // Also drops a job seen twice when new posts shift the offset pages
+    const seen = new Set(since ? seenIds : []);
+    let cursor = since;
+    let cursorIds = since ? [...seenIds] : [];
+    const pages = paginate(q => market.listJobs({ ...query, sort: 'created_at', order: 'desc', ...q }), {
+        key: 'jobs', pageSize, maxPages,
+    });
+
+    for await (const job of pages) {
+        if (since && job.created_at && job.created_at < since) break;
+        const id = job.job_id || job.id;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        jobs.push(job);
+        if (!job.created_at) continue;
+        if (!cursor || job.created_at > cursor) {
+            cursor = job.created_at;
+            cursorIds = [id];
+        } else if (job.created_at === cursor) {
+            cursorIds.push(id);
+        }
+    }
+    return { jobs, cursor, cursorIds };
+}
+
+module.exports = { paginate, collect, fetchAllBids, fetchAllJobs, fetchJobsSince, DEFAULT_PAGE_SIZE };
@@ -0,0 +1,92 @@
+/**
+ * Lint gate for LLM-drafted proposals.
+ *
+ * A draft only replaces the template proposal if it passes every rule:
+ *   length        within minChars–maxChars
+ *   claims        no unverifiable claims (guarantees, rankings, track
+ *                 records, "100%" certainty, superlatives)
+ *   tools         every tool, language and chain it names (as recognised by
+ *                 the keyword dictionary) is in the job or in allowedTools
+ *   deliverables  every deliverable the job asks for is addressed
+ */
+
+const DEFAULT_PROPOSAL_WRITER = {
+    mode: 'template',           // template | llm
+    minChars: 200,
+    maxChars: 1800,
+    timeoutMs: 60000,           // the whole draft, across backend models: bids wait on it, so the template takes over after this
+    // Our own stack: the draft may name these even if the job does not
+    allowedTools: ['Rust', 'TypeScript', 'JavaScript', 'Python', 'Node.js', 'SQL', 'Docker', 'GitHub', 'REST API', 'NEAR'],
+};
+
+const CLAIM_PATTERNS = [
+    { re: /\bguarantee[ds]?\b/i, what: 'a guarantee' },
+    { re: /\b(?:100|99(?:\.\d+)?)\s*%/, what: 'a certainty percentage' },
+    // Rankings: "#1 on the leaderboard", "ranked #3", "top-10 agent", "top-rated" —
+    // but not "issue #12", "step #1" or "rank results by relevance"
+    { re: /(?<!\b(?:issue|pr|pull request|step|item|ticket|task|bug|line|phase|part)\s?)#\s?\d+\s+(?:on|in|among|agent|bot|developer|freelancer|contributor|seller|earner|spot|place|position|rated|ranked)\b/i, what: 'a ranking' },
+    { re: /\branked\s+(?:#\s?\d+|no\.?\s?\d+|number\s+\w+|first|second|third|top|among|in\s+the\s+top|highly)|\b(?:top|highest|best)[- ](?:ranked|rated)\b/i, what: 'a ranking' },
+    { re: /\btop[- ](?:\d+%?|one|three|five|ten|hundred)\s+(?:agents?|bots?|developers?|freelancers?|contributors?|sellers?|earners?|performers?)\b/i, what: 'a ranking' },
+    { re: /\b\d+\+?\s+(?:years?|clients|customers|projects|jobs|reviews)\b/i, what: 'a track record' },
+    { re: /\b(?:award[- ]winning|world[- ]class|industry[- ]leading|best[- ]in[- ]class|proven track record|trusted by|certified|bug[- ]free|zero bugs|never fails?|risk[- ]free)\b/i, what: 'a superlative' },
+];
+
+const NAMED_GROUPS = ['tools', 'languages', 'chains'];
+
+/**
+ * @param {string} text - the draft
+ * @param {object} opts
+ * @param {object} opts.jobKeywords - extractKeywords() result for the job
+ * @param {object} opts.draftKeywords - extractKeywords() result for the draft
+ * @param {string[]} [opts.verified] - sentences we know are true (e.g. the
+ *   returning-client line), exempt from the claims rule
+ * @param {object} [opts.settings] - proposalWriter settings (DEFAULT_PROPOSAL_WRITER)
+ * @returns {{ ok: boolean, problems: { rule: string, message: string }[] }}
+ */
+function lintProposal(text, { jobKeywords, draftKeywords, verified = [], settings = {} }) {
+    const { minChars, maxChars, allowedTools } = { ...DEFAULT_PROPOSAL_WRITER, ...settings };
+    const problems = [];
+    const body = String(text || '').trim();
+
+    if (body.length > maxChars) problems.push({ rule: 'length', message: `${body.length} chars (max ${maxChars})` });
+    if (body.length < minChars) problems.push({ rule: 'length', message: `${body.length} chars (min ${minChars})` });
+
+    const claimable = verified.reduce((t, sentence) => t.split(sentence).join(' '), body);
+    const claimed = new Set();
+    for (const { re, what } of CLAIM_PATTERNS) {
+        const m = claimed.has(what) ? null : claimable.match(re);
+        if (!m) continue;
+        claimed.add(what);
+        problems.push({ rule: 'claims', message: `unverifiable claim (${what}): "${m[0]}"` });
+    }
+
+    const allowed = new Set(allowedTools);
+    for (const group of NAMED_GROUPS) {
+        for (const label of jobKeywords[group] || []) allowed.add(label);
+    }
+    for (const group of NAMED_GROUPS) {
+        for (const label of draftKeywords[group] || []) {
+            if (!allowed.has(label)) problems.push({ rule: 'tools', message: `names ${label}, which the job does not mention` });
+        }
+    }
+
+    const covered = new Set(draftKeywords.deliverables || []);
+    for (const label of jobKeywords.deliverables || []) {
+        if (!covered.has(label)) problems.push({ rule: 'deliverables', message: `does not address the requested ${label}` });
+    }
+
+    return { ok: problems.length === 0, problems };
+}
+
+/**
+ * The proposal out of a backend reply: drops <think> blocks and a wrapping
+ * code fence.
+ */
+function cleanDraft(output) {
+    let text = String(output || '').replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+    const fenced = text.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+    if (fenced) text = fenced[1].trim();
+    return text;
+}
+
+module.exports = { lintProposal, cleanDraft, DEFAULT_PROPOSAL_WRITER };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-based proposal templates with a small Handlebars-like syntax.
+ *
+ *   {{path.to.value}}              value; arrays render comma-separated
+ *   {{#if path}}…{{else}}…{{/if}}  truthy test (empty arrays are false)
+ *   {{#unless path}}…{{/unless}}
+ *   {{#each path}}…{{this}}…{{/each}}
+ *   {{> partial}}                  another template, inlined
+ *   {{! comment }}
+ *
+ * A block tag alone on its line takes the line with it, so templates can
+ * put one tag per line without leaving blank lines in the proposal.
+ *
+ * Templates live in one directory. `<name>.<category>.md` overrides
+ * `<name>.md` for that category, and partials (`_<name>.md`) resolve the
+ * same way. A template starts with a header declaring its version:
+ *
+ *   ---
+ *   version: 3
+ *   ---
+ *
+ * Bids record `<name>@<version>` so win rates can be compared between
+ * versions; bump it whenever the template or a partial it uses changes.
+ */
+
+const TAG = /\{\{(.*?)\}\}/gs;
+const BLOCK_TAG = /^\s*[#/!]|^\s*else\s*$/;
+
+function parseHeader(source, file) {
+    const m = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!m) return { meta: {}, body: source };
+    const meta = {};
+    for (const line of m[1].split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!kv) throw new Error(`${file}: bad header line "${line}"`);
+        meta[kv[1]] = kv[2];
+    }
+    return { meta, body: source.slice(m[0].length) };
+}
+
+/**
+ * Split a template into text and tag tokens, dropping the whitespace and
+ * newline around block tags that stand alone on their line.
+ */
+function tokenizeTemplate(body) {
+    const tokens = [];
+    let last = 0;
+    let m;
+    TAG.lastIndex = 0;
+    while ((m = TAG.exec(body)) !== null) {
+        let text = body.slice(last, m.index);
+        let end = m.index + m[0].length;
+        if (BLOCK_TAG.test(m[1])) {
+            const lineStart = text.lastIndexOf('\n') + 1;
+            // Only standalone if the tag starts its line: `last` may be mid-line after another tag
+            const startsLine = lineStart > 0 || last === 0 || body[last - 1] === '\n';
+            const after = body.slice(end).match(/^[ \t]*(\r?\n|$)/);
+            if (startsLine && after && /^[ \t]*$/.test(text.slice(lineStart))) {
+                text = text.slice(0, lineStart);
+                end += after[0].length;
+            }
+        }
+        if (text) tokens.push({ type: 'text', value: text });
+        tokens.push({ type: 'tag', value: m[1].trim() });
+        last = end;
+        TAG.lastIndex = end;
+    }
+    if (last < body.length) tokens.push({ type: 'text', value: body.slice(last) });
+    return tokens;
+}
+
+/**
+ * Parse a template body into a tree of text, value, block and partial nodes.
+ */
+function compile(body, file = 'template') {
+    const root = { children: [] };
+    // Each open block with the branch (children or inverse) being filled
+    const stack = [{ node: root, target: root.children }];
+    const top = () => stack[stack.length - 1];
+
+    for (const token of tokenizeTemplate(body)) {
+        if (token.type === 'text') {
+            top().target.push({ type: 'text', value: token.value });
+            continue;
+        }
+        const tag = token.value;
+        if (tag.startsWith('!')) continue;
+        if (tag.startsWith('>')) {
+            top().target.push({ type: 'partial', name: tag.slice(1).trim() });
+        } else if (tag.startsWith('#')) {
+            const [kind, arg] = tag.slice(1).trim().split(/\s+/, 2);
+            if (!['if', 'unless', 'each'].includes(kind) || !arg) throw new Error(`${file}: unknown block "{{${tag}}}"`);
+            const node = { type: kind, path: arg, children: [], inverse: null };
+            top().target.push(node);
+            stack.push({ node, target: node.children });
+        } else if (tag === 'else') {
+            const { node } = top();
+            if (node === root || node.inverse) throw new Error(`${file}: unexpected {{else}}`);
+            node.inverse = [];
+            top().target = node.inverse;
+        } else if (tag.startsWith('/')) {
+            const { node } = stack.pop();
+            if (node === root || node.type !== tag.slice(1).trim()) throw new Error(`${file}: unexpected "{{${tag}}}"`);
+        } else {
+            top().target.push({ type: 'value', path: tag });
+        }
+    }
+    if (stack.length > 1) throw new Error(`${file}: unclosed {{#${top().node.type} ${top().node.path}}}`);
+    return root.children;
+}
+
+function lookup(scope, dotted) {
+    if (dotted === 'this') return scope.this;
+    let value = scope;
+    for (const key of dotted.split('.')) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function display(value) {
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function renderNodes(nodes, scope, partial) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') out += node.value;
+        else if (node.type === 'value') out += display(lookup(scope, node.path));
+        else if (node.type === 'partial') out += partial(node.name, scope);
+        else if (node.type === 'each') {
+            const items = lookup(scope, node.path) || [];
+            if (items.length === 0 && node.inverse) out += renderNodes(node.inverse, scope, partial);
+            for (const item of items) out += renderNodes(node.children, { ...scope, this: item }, partial);
+        } else {
+            const test = truthy(lookup(scope, node.path));
+            const branch = (node.type === 'if' ? test : !test) ? node.children : node.inverse;
+            if (branch) out += renderNodes(branch, scope, partial);
+        }
+    }
+    return out;
+}
+
+/**
+ * Templates in `dir`, compiled on first use.
+ *
+ * @returns {{ render(name, category, context): { text, version }, list(): object[] }}
+ */
+function createTemplateStore(dir) {
+    const cache = new Map();
+
+    function load(file) {
+        if (!cache.has(file)) {
+            const { meta, body } = parseHeader(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+            cache.set(file, { meta, nodes: compile(body.replace(/\r?\n$/, ''), file) });
+        }
+        return cache.get(file);
+    }
+
+    // The category variant if there is one, else the base template
+    function resolve(stem, category) {
+        const variant = category ? `${stem}.${category}.md` : null;
+        if (variant && fs.existsSync(path.join(dir, variant))) return variant;
+        if (fs.existsSync(path.join(dir, `${stem}.md`))) return `${stem}.md`;
+        return null;
+    }
+
+    function render(name, category, context) {
+        const file = resolve(name, category);
+        if (!file) throw new Error(`No proposal template "${name}" in ${dir}`);
+        const template = load(file);
+        const partial = (partialName, scope) => {
+            const partialFile = resolve(`_${partialName}`, category);
+            if (!partialFile) throw new Error(`${file}: no partial "${partialName}" in ${dir}`);
+            return renderNodes(load(partialFile).nodes, scope, partial);
+        };
+        const text = renderNodes(template.nodes, context, partial).replace(/\n{3,}/g, '\n\n').trim();
+        const stem = file.replace(/\.md$/, '');
+        return { text, version: `${stem}@${template.meta.version || '0'}` };
+    }
+
+    function list() {
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.md') && !f.startsWith('_'))
+            .map(f => ({ file: f, version: `${f.replace(/\.md$/, '')}@${load(f).meta.version || '0'}` }));
+    }
+
+    return { render, list };
+}
+
+module.exports = { createTemplateStore, compile, parseHeader };
@@ -0,0 +1,119 @@
+/**
+ * Rate limiting and retry policy shared by every Market API call.
+ *
+ * One token bucket per client spreads requests out (instead of fixed sleeps
+ * between bids), a 429 pauses the whole bucket for the server's Retry-After,
+ * and each request carries a retry policy that matches its idempotency.
+ */
+
+const RETRY = {
+    // Safe to repeat: GETs and POST /jobs/{id}/submit (idempotent per API docs).
+    // Retried on network errors, timeouts, 5xx and 429.
+    IDEMPOTENT: 'idempotent',
+    // Bid and message POSTs: a timeout or 5xx may already have been applied,
+    // so only a 429 (rejected before processing) is retried.
+    RATE_LIMIT_ONLY: 'rate-limit-only',
+};
+
+const DEFAULT_RATE = { ratePerSecond: 2, burst: 5 };
+const DEFAULT_BACKOFF = { maxRetries: 4, baseDelay: 500, maxDelay: 30000 };
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Token bucket: `burst` requests may go out back to back, after which they
+ * are spaced at `ratePerSecond`. Callers await `take()` before each request.
+ */
+function createTokenBucket({ ratePerSecond = DEFAULT_RATE.ratePerSecond, burst = DEFAULT_RATE.burst } = {}) {
+    let tokens = burst;
+    let last = Date.now();
+    let pausedUntil = 0;
+    let chain = Promise.resolve();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSecond);
+        last = now;
+    }
+
+    async function acquire() {
+        for (;;) {
+            const pause = pausedUntil - Date.now();
+            if (pause > 0) {
+                await sleep(pause);
+                continue;
+            }
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        }
+    }
+
+    return {
+        // Serialize acquisitions so waiters are served in order
+        take() {
+            chain = chain.then(acquire);
+            return chain;
+        },
+        /** Hold every request until `ms` from now (used for Retry-After). */
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+            tokens = 0;
+        },
+    };
+}
+
+/**
+ * Exponential backoff with full jitter: random in [0, min(maxDelay, base * 2^attempt)].
+ */
+function backoffDelay(attempt, { baseDelay = DEFAULT_BACKOFF.baseDelay, maxDelay = DEFAULT_BACKOFF.maxDelay } = {}) {
+    return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether an attempt should be retried under `policy`.
+ * `outcome` is either { status } for an HTTP response or { error } for a
+ * transport failure.
+ */
+function shouldRetry(policy, outcome) {
+    if (outcome.status === 429) return true;
+    if (policy !== RETRY.IDEMPOTENT) return false;
+    if (outcome.error) return true;
+    return outcome.status >= 500;
+}
+
+/**
+ * Whether an HTTP status refuses the request for good, so sending it again
+ * next cycle cannot succeed: 4xx (closed job, validation error, conflict)
+ * except timeouts, rate limits and auth failures, which are about us or the
+ * moment rather than the request.
+ */
+function isFinalRejection(status) {
+    return status >= 400 && status < 500 && ![401, 403, 408, 425, 429].includes(status);
+}
+
+module.exports = {
+    RETRY,
+    DEFAULT_RATE,
+    DEFAULT_BACKOFF,
+    createTokenBucket,
+    backoffDelay,
+    parseRetryAfter,
+    shouldRetry,
+    isFinalRejection,
+    sleep,
+};
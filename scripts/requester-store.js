@@ -0,0 +1,115 @@
+/**
+ * Requester profiles — the "Requester Sentiment" beliefs from
+ * docs/COGNITIVE_SYSTEM.md, built from the jobs we bid on and worked.
+ *
+ * Profiles are derived from the job records in STATE.jobs (each carries
+ * `requesterId` and its lifecycle `history`), so they rebuild with the state
+ * journal and never drift from it.
+ */
+
+const HOUR = 3600000;
+
+function emptyProfile(requesterId) {
+    return {
+        requesterId,
+        bids: 0,
+        awarded: 0,
+        rejected: 0,
+        deliveries: 0,
+        changeRequests: 0,
+        disputes: 0,
+        paid: 0,
+        unpaid: 0,
+        acceptHours: [],
+        lastSeen: null,
+    };
+}
+
+function statusesOf(job) {
+    return (job.history || []).map(h => h.status);
+}
+
+function addJob(profile, job) {
+    const history = job.history || [];
+    const statuses = statusesOf(job);
+    profile.bids++;
+    if (statuses.includes('awarded')) profile.awarded++;
+    if (job.status === 'bid_rejected') profile.rejected++;
+    profile.deliveries += statuses.filter(s => s === 'delivered').length;
+    profile.changeRequests += statuses.filter(s => s === 'changes_requested').length;
+    if (statuses.includes('disputed')) profile.disputes++;
+    if (job.status === 'paid') profile.paid++;
+    // Delivered work that ended without payment
+    if (job.status === 'expired' && statuses.includes('delivered')) profile.unpaid++;
+
+    // Time to accept: last submission → payout
+    const paidAt = history.find(h => h.status === 'paid');
+    const delivered = history.filter(h => h.status === 'delivered').pop();
+    if (paidAt && delivered) profile.acceptHours.push((Date.parse(paidAt.at) - Date.parse(delivered.at)) / HOUR);
+
+    const seen = job.updatedAt || job.placedAt;
+    if (seen && (!profile.lastSeen || seen > profile.lastSeen)) profile.lastSeen = seen;
+}
+
+/**
+ * Add the derived rates to a tallied profile.
+ */
+function finish(profile) {
+    const { acceptHours, ...rest } = profile;
+    const resolvedBids = profile.awarded + profile.rejected;
+    const settled = profile.paid + profile.unpaid;
+    return {
+        ...rest,
+        jobs: profile.awarded,
+        awardRate: resolvedBids ? profile.awarded / resolvedBids : null,
+        changesPerDelivery: profile.deliveries ? profile.changeRequests / profile.deliveries : null,
+        payoutReliability: settled ? profile.paid / settled : null,
+        avgHoursToAccept: acceptHours.length ? acceptHours.reduce((a, b) => a + b, 0) / acceptHours.length : null,
+    };
+}
+
+/**
+ * Profiles for every requester in `jobs`, keyed by requester id.
+ */
+function buildRequesterProfiles(jobs) {
+    const profiles = {};
+    for (const job of Object.values(jobs)) {
+        if (!job.requesterId) continue;
+        addJob(profiles[job.requesterId] ||= emptyProfile(job.requesterId), job);
+    }
+    return Object.fromEntries(Object.entries(profiles).map(([id, p]) => [id, finish(p)]));
+}
+
+/**
+ * The profile of one requester, or null if we have never dealt with them.
+ */
+function requesterProfile(jobs, requesterId) {
+    if (!requesterId) return null;
+    const profile = emptyProfile(requesterId);
+    for (const job of Object.values(jobs)) {
+        if (job.requesterId === requesterId) addJob(profile, job);
+    }
+    return profile.bids ? finish(profile) : null;
+}
+
+/**
+ * How a requester's history should shape our bid: a premium for requesters
+ * who send work back often or have disputed, with the reasons spelled out.
+ */
+function requesterPremium(profile) {
+    if (!profile || profile.jobs === 0) return { factor: 1, reasons: [] };
+    let factor = 1;
+    const reasons = [];
+    if (profile.changesPerDelivery) {
+        const premium = 0.2 * Math.min(1, profile.changesPerDelivery);
+        factor += premium;
+        reasons.push(`+${Math.round(premium * 100)}% for ${profile.changesPerDelivery.toFixed(1)} change request(s) per delivery`);
+    }
+    if (profile.disputes > 0) {
+        factor += 0.1;
+        reasons.push(`+10% for ${profile.disputes} dispute(s)`);
+    }
+    return { factor, reasons };
+}
+
+module.exports = { buildRequesterProfiles, requesterProfile, requesterPremium };
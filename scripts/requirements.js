@@ -0,0 +1,297 @@
+const path = require('path');
+const { STOPWORDS } = require('./text-tokens.js');
+
+/**
+ * Job descriptions → a numbered acceptance checklist, and generated files →
+ * evidence for each item.
+ *
+ * Checklist items (ids R1, R2, …) are one of:
+ *   deliverable  a bullet or "must/should" sentence, or a deliverable the
+ *                keyword dictionary recognised ("CLI tool", "API endpoint")
+ *   constraint   a bullet or sentence that limits the work ("no external
+ *                dependencies", "at most 200ms")
+ *   language     a language / framework named in the job
+ *   file         a file name or file type named in the job
+ *
+ * The checklist goes into the build prompt and is stored on the job record.
+ * After generation verifyChecklist() maps each item to evidence (a file that
+ * exists, a symbol that is defined, a test whose name matches) and the
+ * resulting coverage matrix is attached to deliverable.md.
+ */
+
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+(.+)$/gm;
+const MODAL = /\b(?:must|should|shall|needs? to|has to|have to|required?|expected to)\b/i;
+const LIMIT = /\b(?:must not|should not|shall not|do not|don't|never|no|without|only|at (?:least|most)|under|within|less than|fewer than|max(?:imum)?|min(?:imum)?|compatible)\b/i;
+
+// Extensions / files that show a language is really used
+const LANGUAGE_FILES = {
+    Rust: ['.rs', 'Cargo.toml'],
+    TypeScript: ['.ts', '.tsx', 'tsconfig.json'],
+    JavaScript: ['.js', '.mjs', '.cjs', '.jsx'],
+    Python: ['.py', 'requirements.txt', 'pyproject.toml'],
+    Solidity: ['.sol'],
+    SQL: ['.sql'],
+    React: ['.jsx', '.tsx'],
+    'Next.js': ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    'Node.js': ['package.json'],
+    Go: ['.go', 'go.mod'],
+    Move: ['.move', 'Move.toml'],
+};
+
+// Evidence for the keyword dictionary's deliverable labels; labels without
+// an entry (e.g. "GitHub repository") are not checkable from files
+const DELIVERABLE_EVIDENCE = {
+    'interactive dashboard': { paths: /\.(html|jsx|tsx|vue|svelte)$|dashboard/i },
+    'detailed report': { paths: /report|findings|audit/i },
+    'API endpoint': { content: /\b(?:app|router|server)\.(?:get|post|put|delete|route)\s*\(|@app\.(?:get|post|route)|\.route\s*\(|#\[(?:get|post)\(/ },
+    'CLI tool': { paths: /(^|\/)(bin|cli)(\/|\.|$)/i, content: /process\.argv|commander|yargs|argparse|clap::|std::env::args|flag\.Parse/ },
+    'automated bot': { paths: /bot/i, content: /setInterval|cron|schedule/i },
+    'automation script': { paths: /\.(sh|py|js|ts)$/ },
+    'technical documentation': { paths: /(^|\/)(readme|docs?\/)|\.md$/i },
+    'data visualizations': { content: /chart\.js|recharts|d3\b|plotly|matplotlib|<svg|<canvas/i },
+    'reusable library': { paths: /(^|\/)(lib\.rs|index\.(js|ts)|__init__\.py|src\/lib)/ },
+};
+
+const FILE_MENTION = /(?:^|[\s`'"(])((?:[\w-]+\/)*[\w-]*\.(?:js|mjs|ts|tsx|jsx|py|rs|go|sol|move|md|json|toml|ya?ml|sh|sql|csv|html|css))(?=$|[\s`'"),.;:])|\b(Dockerfile|Makefile|README)\b/g;
+// A file the delivered program writes: "written to out.csv", "saves the results as report.json", "--output data.json"
+const OUTPUT_CONTEXT = /(?:\b(?:writ(?:e|es|ten|ing)|output(?:s|ted|ting)?|sav(?:e|es|ed|ing)|export(?:s|ed|ing)?|dump(?:s|ed|ing)?|emit(?:s|ted|ting)?|generat(?:e|es|ed|ing)|produc(?:e|es|ed|ing)|stor(?:e|es|ed|ing))\b(?:\s+[\w-]+){0,4}?\s+(?:to|into|as|in)|(?:--?o|--out(?:put)?|>)[\s=])\s*[`'"(]?$/i;
+const NOT_FILES = new Set(['next.js', 'node.js', 'react.js', 'vue.js', 'three.js', 'd3.js', 'chart.js', 'express.js', 'nuxt.js', 'nest.js']);
+
+function clean(text) {
+    return text.replace(/\s+/g, ' ').replace(/[.;:]+$/, '').trim();
+}
+
+/**
+ * Sentences outside list items that state a requirement.
+ */
+function requirementSentences(desc) {
+    const prose = desc.replace(LIST_ITEM, '');
+    return prose.split(/(?<=[.!?])\s+|\n+/).map(clean).filter(s => s.length > 8 && MODAL.test(s));
+}
+
+/**
+ * Numbered checklist for a job.
+ * @param {object} job - { title, description }
+ * @param {object} keywords - extractKeywords() result for the job
+ * @returns {{ id: string, kind: string, text: string, expect: object }[]}
+ */
+function extractRequirements(job, keywords = {}) {
+    const desc = job.description || '';
+    const items = [];
+    const seen = new Set();
+    const add = (kind, text, expect = {}) => {
+        const key = `${kind}:${text.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        items.push({ id: `R${items.length + 1}`, kind, text, expect });
+    };
+
+    const statements = [...desc.matchAll(LIST_ITEM)].map(m => clean(m[1])).filter(Boolean)
+        .concat(requirementSentences(desc));
+    for (const text of statements) add(LIMIT.test(text) ? 'constraint' : 'deliverable', text);
+    if (statements.length === 0) add('deliverable', clean(desc).slice(0, 500) || job.title || '(untitled)');
+
+    for (const label of keywords.deliverables || []) {
+        if (DELIVERABLE_EVIDENCE[label]) add('deliverable', `Deliverable: ${label}`, { deliverable: label });
+    }
+    for (const label of keywords.languages || []) {
+        if (LANGUAGE_FILES[label]) add('language', `Written in ${label}`, { language: label });
+    }
+    for (const m of desc.matchAll(FILE_MENTION)) {
+        const name = m[1] || m[2];
+        if (NOT_FILES.has(name.toLowerCase())) continue;
+        // "written to report.csv" names what the program produces, not a file to ship
+        const sentence = desc.slice(Math.max(0, m.index - 60), m.index + 1).split(/[.!?\n]\s/).pop();
+        if (OUTPUT_CONTEXT.test(sentence)) continue;
+        if (name.startsWith('.') || /^\*?\.\w+$/.test(name)) add('file', `Includes ${name.replace(/^\*/, '')} files`, { ext: name.replace(/^\*/, '') });
+        else add('file', `Includes ${name}`, { name });
+    }
+    return items;
+}
+
+/**
+ * The checklist as it goes into the build prompt.
+ */
+function formatChecklist(checklist) {
+    return checklist.map(item => `${item.id}. [${item.kind}] ${item.text}`).join('\n');
+}
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+const SYMBOL_PATTERNS = [
+    /\b(?:function\s*\*?|class|def|fn|struct|enum|trait|interface|type|func|contract|library|mod)\s+([A-Za-z_$][\w$]*)/g,
+    /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/g,
+    /\bexports\.([A-Za-z_$][\w$]*)\s*=/g,
+    /^\s+(?:(?:public|private|static|async|pub)\s+)*([a-z_$][\w$]*)\s*\([^)]*\)\s*\{/gm,
+];
+const TEST_PATTERNS = [
+    /\b(?:it|test|describe)\s*\(\s*(['"`])(.+?)\1/g,
+    /\bdef\s+(test_\w+)/g,
+    /#\[(?:tokio::)?test\]\s*(?:async\s+)?fn\s+(\w+)/g,
+    /\bfunc\s+(Test\w+)/g,
+];
+
+function splitWords(identifier) {
+    return identifier.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function stem(word) {
+    return word.replace(/(?:ing|ed|es|s)$/, '') || word;
+}
+
+/**
+ * Symbols and test names defined in each file.
+ */
+function indexFiles(files) {
+    return files.map(file => {
+        const symbols = new Set();
+        for (const re of SYMBOL_PATTERNS) {
+            for (const m of file.content.matchAll(re)) symbols.add(m[1]);
+        }
+        const tests = [];
+        for (const re of TEST_PATTERNS) {
+            for (const m of file.content.matchAll(re)) tests.push(m[m.length - 1]);
+        }
+        return { path: file.path, content: file.content, symbols: [...symbols], tests };
+    });
+}
+
+/**
+ * Terms to look for: code-like tokens (backticked, camelCase, snake_case,
+ * --flags, paths) are strong; other content words are weak.
+ */
+function itemTerms(text) {
+    const strong = new Set();
+    for (const m of text.matchAll(/`([^`]+)`/g)) strong.add(m[1].trim());
+    for (const m of text.matchAll(/(?:^|\s)(--?[\w-]+|[\w-]+\/[\w./-]+|[\w-]+\.[a-z]{2,4}|[a-z]+[A-Z]\w*|[a-z]+_[a-z_]+)(?=$|[\s,.;:)])/g)) strong.add(m[1]);
+    const weak = new Set(text.toLowerCase().replace(/`[^`]*`/g, ' ').split(/[^a-z0-9]+/)
+        .filter(w => w.length >= 4 && !STOPWORDS.has(w)).map(stem));
+    return { strong: [...strong], weak: [...weak].slice(0, 8) };
+}
+
+/**
+ * The parts of a multi-part item ("tests and a README.md" → "tests",
+ * "a README.md"), split outside backticks. Parts without terms are dropped.
+ */
+function itemParts(text) {
+    const code = [];
+    const masked = text.replace(/`[^`]*`/g, m => `\u0000${code.push(m) - 1}\u0000`);
+    return masked.split(/\s*(?:[,;&]|\band\b|\bplus\b)\s*/i)
+        .map(part => part.replace(/\u0000(\d+)\u0000/g, (_, i) => code[i]))
+        .filter(part => {
+            const { strong, weak } = itemTerms(part);
+            return strong.length || weak.length;
+        });
+}
+
+/**
+ * Evidence for one part: covered when every strong term is found, or half
+ * its content words.
+ */
+function partEvidence(text, index) {
+    const { strong, weak } = itemTerms(text);
+    const evidence = [];
+    let strongHits = 0;
+
+    for (const term of strong) {
+        const norm = term.toLowerCase().replace(/^-+/, '');
+        const termWords = splitWords(norm).join('');
+        for (const f of index) {
+            const symbol = f.symbols.find(s => splitWords(s).join('') === termWords);
+            if (symbol) evidence.push(`symbol \`${symbol}\` (${f.path})`);
+            else if (f.path.toLowerCase().includes(norm)) evidence.push(`file \`${f.path}\``);
+            else if (f.content.includes(term)) evidence.push(`\`${term}\` in ${f.path}`);
+            else continue;
+            strongHits++;
+            break;
+        }
+    }
+
+    const matched = new Set();
+    for (const f of index) {
+        const pathWords = new Set(splitWords(f.path).map(stem));
+        const symbolHits = f.symbols.filter(s => splitWords(s).some(w => weak.includes(stem(w))));
+        const testHits = f.tests.filter(t => splitWords(t).some(w => weak.includes(stem(w))));
+        const pathHits = weak.filter(w => pathWords.has(w));
+        pathHits.forEach(w => matched.add(w));
+        for (const s of symbolHits) splitWords(s).map(stem).filter(w => weak.includes(w)).forEach(w => matched.add(w));
+        for (const t of testHits) splitWords(t).map(stem).filter(w => weak.includes(w)).forEach(w => matched.add(w));
+        if (testHits.length) evidence.push(`test "${testHits[0]}" (${f.path})`);
+        else if (symbolHits.length) evidence.push(`symbol \`${symbolHits[0]}\` (${f.path})`);
+        else if (pathHits.length) evidence.push(`file \`${f.path}\``);
+    }
+
+    const ratio = weak.length ? matched.size / weak.length : 0;
+    const status = (strong.length && strongHits === strong.length) || ratio >= 0.5 ? 'covered'
+        : (ratio > 0 || evidence.length ? 'partial' : 'missing');
+    return { status, evidence };
+}
+
+/**
+ * An item is covered only when each of its parts is.
+ */
+function textEvidence(item, index) {
+    const parts = itemParts(item.text).map(text => partEvidence(text, index));
+    if (parts.length === 0) parts.push(partEvidence(item.text, index));
+    let status = parts.every(p => p.status === 'covered') ? 'covered'
+        : (parts.every(p => p.status === 'missing') ? 'missing' : 'partial');
+    // A limit ("no external calls") rarely leaves a trace in the files
+    if (status === 'missing' && item.kind === 'constraint') status = 'unverified';
+    return { status, evidence: [...new Set(parts.flatMap(p => p.evidence))].slice(0, 3) };
+}
+
+function extensionEvidence(wanted, files) {
+    const hits = files.filter(f => wanted.some(w => (w.startsWith('.') ? f.path.endsWith(w) : path.basename(f.path) === w)));
+    return {
+        status: hits.length ? 'covered' : 'missing',
+        evidence: hits.slice(0, 3).map(f => `file \`${f.path}\``),
+    };
+}
+
+function itemEvidence(item, files, index) {
+    const { expect } = item;
+    if (expect.language) return extensionEvidence(LANGUAGE_FILES[expect.language], files);
+    if (expect.ext) return extensionEvidence([expect.ext], files);
+    if (expect.name) {
+        const name = expect.name.toLowerCase();
+        const hits = files.filter(f => f.path.toLowerCase() === name || path.basename(f.path).toLowerCase().replace(/\.md$/, '') === name.replace(/\.md$/, ''));
+        return { status: hits.length ? 'covered' : 'missing', evidence: hits.slice(0, 3).map(f => `file \`${f.path}\``) };
+    }
+    if (expect.deliverable) {
+        const rule = DELIVERABLE_EVIDENCE[expect.deliverable];
+        const hits = files.filter(f => (rule.paths && rule.paths.test(f.path)) || (rule.content && rule.content.test(f.content)));
+        return { status: hits.length ? 'covered' : 'missing', evidence: hits.slice(0, 3).map(f => `file \`${f.path}\``) };
+    }
+    return textEvidence(item, index);
+}
+
+/**
+ * Map every checklist item to evidence in the generated files.
+ * @returns {{ rows: { id, kind, text, status, evidence: string[] }[], summary: { covered, partial, missing, unverified, total } }}
+ *   status: covered | partial | missing | unverified (a constraint with no
+ *   trace either way)
+ */
+function verifyChecklist(checklist, files) {
+    const index = indexFiles(files);
+    const rows = checklist.map(item => ({ id: item.id, kind: item.kind, text: item.text, ...itemEvidence(item, files, index) }));
+    const count = status => rows.filter(r => r.status === status).length;
+    return { rows, summary: { covered: count('covered'), partial: count('partial'), missing: count('missing'), unverified: count('unverified'), total: rows.length } };
+}
+
+const STATUS_LABELS = { covered: '✅ covered', partial: '🟡 partial', missing: '❌ missing', unverified: '⚪ unverified' };
+
+/**
+ * The coverage matrix as a Markdown section for deliverable.md.
+ */
+function formatCoverageMatrix(coverage) {
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const { covered, total } = coverage.summary;
+    let md = `## Requirements Coverage\n\n${covered}/${total} checklist items have evidence in the delivered files.\n\n`;
+    md += `| # | Requirement | Kind | Status | Evidence |\n|---|---|---|---|---|\n`;
+    for (const row of coverage.rows) {
+        md += `| ${row.id} | ${cell(row.text)} | ${row.kind} | ${STATUS_LABELS[row.status]} | ${cell(row.evidence.join('; ') || '—')} |\n`;
+    }
+    return md;
+}
+
+module.exports = { extractRequirements, formatChecklist, verifyChecklist, formatCoverageMatrix };
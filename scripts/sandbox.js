@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+/**
+ * Execution sandbox for AI-generated code.
+ *
+ * Builds and tests never run in the job's work directory or with our
+ * environment. Each sandbox is a throwaway copy of the work directory under
+ * the OS temp dir, and every command:
+ *   - runs with execFile semantics (argv array, no shell string to inject into);
+ *   - gets a scrubbed environment: PATH, locale and a private HOME / TMPDIR
+ *     inside the sandbox. Nothing from the .openclaw env file, no API keys,
+ *     no `gh` token and none of our dotfiles;
+ *   - runs under CPU-time, address-space and file-size limits (ulimit) and a
+ *     wall-clock timeout that kills the whole process group;
+ *   - optionally runs without network (`unshare -rn`), except dependency
+ *     installs, which need the registry.
+ *
+ * Limits and namespaces need a POSIX `sh` / Linux `unshare`; on Windows
+ * commands still run in the scrubbed copy, only without them (and through
+ * cmd.exe, with each argument quoted).
+ */
+
+const DEFAULT_SANDBOX = {
+    cpuSeconds: 300,            // CPU time per command
+    memoryMb: 2048,             // address space per process
+    fileSizeMb: 512,            // largest file a command may write
+    isolateNetwork: false,      // build/test steps in a network namespace (Linux)
+    maxOutputBytes: 1024 * 1024 * 5,
+};
+
+// Variables a toolchain needs to start; everything else is dropped
+const ENV_PASSTHROUGH = ['PATH', 'LANG', 'LC_ALL', 'TZ', 'RUSTUP_TOOLCHAIN', 'SystemRoot', 'ComSpec', 'PATHEXT', 'WINDIR'];
+// Our own files the build has no business seeing
+const SKIP_COPY = /(^|[\\/])(node_modules|target|\.git|\.venv|__pycache__)$|(^|[\\/])\.(?:[\w-]*prompt\.txt|audit-report\.md)$/;
+
+let networkIsolation = null;
+
+/**
+ * Whether `unshare -rn` works here (checked once).
+ */
+function canIsolateNetwork() {
+    if (networkIsolation === null) {
+        try {
+            execFileSync('unshare', ['-rn', 'true'], { timeout: 5000, stdio: 'ignore' });
+            networkIsolation = true;
+        } catch (e) {
+            networkIsolation = false;
+        }
+    }
+    return networkIsolation;
+}
+
+function scrubbedEnv(home, tmp) {
+    const env = {};
+    for (const key of ENV_PASSTHROUGH) {
+        if (process.env[key] !== undefined) env[key] = process.env[key];
+    }
+    // rustup's cargo proxy looks for toolchains under $HOME, which we replace
+    const rustup = process.env.RUSTUP_HOME || path.join(os.homedir(), '.rustup');
+    if (fs.existsSync(rustup)) env.RUSTUP_HOME = rustup;
+    return {
+        ...env,
+        HOME: home,
+        USERPROFILE: home,
+        TMPDIR: tmp,
+        TEMP: tmp,
+        TMP: tmp,
+        CI: 'true',
+        TERM: 'dumb',
+        npm_config_cache: path.join(home, '.npm'),
+        npm_config_update_notifier: 'false',
+        PIP_NO_INPUT: '1',
+        PYTHONDONTWRITEBYTECODE: '1',
+    };
+}
+
+/**
+ * [file, argv, shell] with the resource limits (and network namespace)
+ * wrapped around the command.
+ */
+function wrapCommand(command, args, settings, network) {
+    // npm, cargo etc. are .cmd shims on Windows, which only start via cmd.exe
+    if (process.platform === 'win32') return [command, args.map(a => `"${a.replace(/"/g, '')}"`), true];
+    const argv = [command, ...args];
+    if (!network && settings.isolateNetwork && canIsolateNetwork()) argv.unshift('unshare', '-rn');
+    const limits = [
+        `ulimit -t ${Math.ceil(settings.cpuSeconds)}`,
+        `ulimit -v ${Math.ceil(settings.memoryMb * 1024)}`,
+        `ulimit -f ${Math.ceil(settings.fileSizeMb * 2048)}`,
+    ].join(' && ');
+    // The command arrives as positional arguments: nothing is interpolated
+    return ['sh', ['-c', `${limits} && exec "$@"`, 'sandbox', ...argv], false];
+}
+
+/**
+ * A throwaway copy of `sourceDir` to run untrusted commands in.
+ *
+ * @param {string} sourceDir - the job's work directory (never modified)
+ * @param {object} [settings] - DEFAULT_SANDBOX overrides
+ * @returns {{ dir: string, run(command, args, opts): Promise<object>, dispose(): void }}
+ */
+function createSandbox(sourceDir, settings = {}) {
+    const config = { ...DEFAULT_SANDBOX, ...settings };
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'near-sandbox-'));
+    const dir = path.join(root, 'work');
+    const home = path.join(root, 'home');
+    const tmp = path.join(root, 'tmp');
+    fs.cpSync(sourceDir, dir, { recursive: true, filter: src => !SKIP_COPY.test(path.relative(sourceDir, src)) });
+    fs.mkdirSync(home);
+    fs.mkdirSync(tmp);
+    const env = scrubbedEnv(home, tmp);
+
+    /**
+     * Run one command in the sandbox.
+     * @param {string} command
+     * @param {string[]} args
+     * @param {object} [opts]
+     * @param {number} [opts.timeout] - wall-clock ms (default 120000)
+     * @param {boolean} [opts.network] - keep network access even when
+     *   isolateNetwork is on (dependency installs)
+     * @param {string} [opts.cwd] - subdirectory of the sandbox to run in
+     * @param {object} [opts.env] - extra environment variables
+     * @returns {Promise<{ ok: boolean, code: number|null, signal: string|null, timedOut: boolean, notFound: boolean, output: string }>}
+     *   output interleaves stdout and stderr, keeping the last maxOutputBytes;
+     *   notFound: the command is not installed. Rejects when cwd leaves the
+     *   sandbox.
+     */
+    function run(command, args = [], { timeout = 120000, network = false, cwd = '', env: extraEnv = {} } = {}) {
+        const workDir = path.resolve(dir, cwd);
+        const rel = path.relative(dir, workDir);
+        if (rel.startsWith('..') || path.isAbsolute(rel)) return Promise.reject(new Error(`cwd "${cwd}" is outside the sandbox`));
+        const [file, argv, shell] = wrapCommand(command, args, config, network);
+        return new Promise(resolve => {
+            let output = '';
+            let timedOut = false;
+            const collect = chunk => {
+                output += chunk;
+                if (output.length > config.maxOutputBytes) output = output.slice(-config.maxOutputBytes);
+            };
+            let child;
+            try {
+                child = spawn(file, argv, { cwd: workDir, env: { ...env, ...extraEnv }, shell, detached: !shell, windowsHide: true });
+            } catch (e) {
+                resolve({ ok: false, code: null, signal: null, timedOut: false, notFound: e.code === 'ENOENT', output: e.message });
+                return;
+            }
+            const killGroup = () => {
+                try {
+                    if (process.platform === 'win32') child.kill('SIGKILL');
+                    else process.kill(-child.pid, 'SIGKILL');
+                } catch (e) { /* already gone */ }
+            };
+            const timer = setTimeout(() => {
+                timedOut = true;
+                killGroup();
+            }, timeout);
+            child.stdout.setEncoding('utf8').on('data', collect);
+            child.stderr.setEncoding('utf8').on('data', collect);
+            let spawnError = null;
+            child.on('error', e => {
+                spawnError = e;
+                collect(`${e.message}\n`);
+            });
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                // Leave nothing behind that the command forked
+                if (!timedOut) killGroup();
+                if (timedOut) collect(`\n[sandbox] killed after ${timeout}ms`);
+                else if (signal) collect(`\n[sandbox] terminated by ${signal} (CPU, memory or file-size limit)`);
+                // 127: sh / unshare could not exec it; 9009: cmd.exe did not find it
+                const notFound = (spawnError && spawnError.code === 'ENOENT') || code === 127 || (shell && code === 9009);
+                resolve({ ok: code === 0 && !timedOut, code, signal, timedOut, notFound, output });
+            });
+        });
+    }
+
+    function dispose() {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return { dir, run, dispose };
+}
+
+module.exports = { createSandbox, canIsolateNetwork, DEFAULT_SANDBOX };
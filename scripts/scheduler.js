@@ -0,0 +1,66 @@
+/**
+ * Work-capacity scheduling for the earning loop.
+ *
+ * Bidding is capped by CONFIG.maxConcurrent (open bids + jobs we hold), and
+ * awarded jobs are built through a bounded worker pool so a long Kilo build
+ * never stalls polling, request-changes checks or payment checks.
+ */
+
+/**
+ * Number of new bids that fit under the concurrency cap.
+ */
+function availableBidSlots({ maxConcurrent, openBids, activeJobs }) {
+    return Math.max(0, maxConcurrent - openBids - activeJobs);
+}
+
+/**
+ * Create a worker pool that runs at most `size` tasks at once.
+ * Tasks are keyed (by job id) so the same job is never queued twice.
+ *
+ * @param {number} size - maximum number of concurrently running tasks
+ * @param {object} [hooks]
+ * @param {function} [hooks.onError] - called with (key, error) when a task throws
+ */
+function createWorkPool(size, { onError } = {}) {
+    const running = new Map();
+    const queue = [];
+
+    function pump() {
+        while (running.size < size && queue.length > 0) {
+            const { key, task } = queue.shift();
+            const promise = Promise.resolve()
+                .then(task)
+                .catch(e => { if (onError) onError(key, e); })
+                .finally(() => {
+                    running.delete(key);
+                    pump();
+                });
+            running.set(key, promise);
+        }
+    }
+
+    return {
+        /**
+         * Queue a task. Returns false if a task with this key is already
+         * running or queued.
+         */
+        submit(key, task) {
+            if (running.has(key) || queue.some(q => q.key === key)) return false;
+            queue.push({ key, task });
+            pump();
+            return true;
+        },
+        has(key) {
+            return running.has(key) || queue.some(q => q.key === key);
+        },
+        get running() { return running.size; },
+        get queued() { return queue.length; },
+        get size() { return size; },
+        /** Resolve once every running and queued task has settled. */
+        async idle() {
+            while (running.size > 0) await Promise.all([...running.values()]);
+        },
+    };
+}
+
+module.exports = { createWorkPool, availableBidSlots };
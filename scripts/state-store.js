@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Crash-safe persistence for state.json / config.json plus the append-only
+ * event journal (the `jsonl-append-only` memory format declared in
+ * context-engineering.json).
+ *
+ * Snapshots are written to a temp file, fsynced and renamed over the target,
+ * so a crash leaves either the old or the new file — never half of one.
+ * The journal records every state change as one JSON line; replaying it
+ * rebuilds the state if the snapshot is lost or corrupt.
+ */
+
+/**
+ * Atomically replace `filePath` with `data` serialized as JSON.
+ */
+function writeJsonAtomic(filePath, data) {
+    const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a JSON snapshot. Returns null when the file does not exist and throws
+ * a SyntaxError (with `filePath` attached) when it exists but is corrupt.
+ */
+function readJson(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const raw = fs.readFileSync(filePath, 'utf8');
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        e.filePath = filePath;
+        throw e;
+    }
+}
+
+/**
+ * Move a corrupt snapshot aside so recovery never overwrites the evidence.
+ */
+function quarantine(filePath) {
+    const target = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, target);
+    return target;
+}
+
+/**
+ * Append-only JSONL event journal.
+ */
+function createJournal(filePath) {
+    return {
+        filePath,
+        append(type, payload = {}) {
+            const line = JSON.stringify({ ts: new Date().toISOString(), type, ...payload }) + '\n';
+            const fd = fs.openSync(filePath, 'a');
+            try {
+                fs.writeSync(fd, line);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        },
+        /**
+         * Read every event. A torn trailing line (crash mid-append) or any
+         * other unparsable line is skipped and counted.
+         */
+        read() {
+            if (!fs.existsSync(filePath)) return { events: [], skipped: 0 };
+            const events = [];
+            let skipped = 0;
+            for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try { events.push(JSON.parse(line)); } catch (e) { skipped++; }
+            }
+            return { events, skipped };
+        },
+    };
+}
+
+/**
+ * Rebuild agent state from journal events on top of `base` (fresh defaults).
+ *
+ * Event types:
+ *   snapshot    { state }                — full state, written when a journal starts
+ *   bid         { jobId, placed, job? }  — a bid attempt; `job` is the new record
+ *   transition  { jobId, from, to, job } — lifecycle move with the job snapshot
+ *   job         { job }                  — job fields changed outside a transition
+ *   earning     { jobId, amount }
+ *   reset-bids  {}                       — already-bid set cleared
+ *   pricing     { ratios }               — adaptive per-category bid ratios
+ */
+function replayEvents(events, base) {
+    const state = { ...base, jobs: {}, alreadyBidJobIds: [] };
+    const alreadyBid = new Set();
+
+    for (const ev of events) {
+        switch (ev.type) {
+            case 'snapshot':
+                Object.assign(state, ev.state, { jobs: { ...ev.state.jobs } });
+                alreadyBid.clear();
+                (ev.state.alreadyBidJobIds || []).forEach(id => alreadyBid.add(id));
+                break;
+            case 'bid':
+                alreadyBid.add(ev.jobId);
+                if (ev.placed) state.bidsPlaced++;
+                if (ev.job) state.jobs[ev.jobId] = ev.job;
+                break;
+            case 'transition':
+                state.jobs[ev.jobId] = ev.job;
+                if (ev.from === 'bid_pending' && ev.to === 'awarded') state.bidsWon++;
+                if (ev.to === 'bid_rejected') state.bidsRejected++;
+                break;
+            case 'job':
+                state.jobs[ev.job.jobId] = ev.job;
+                break;
+            case 'earning':
+                state.totalEarnings += ev.amount;
+                break;
+            case 'reset-bids':
+                alreadyBid.clear();
+                break;
+            case 'pricing':
+                state.categoryRatios = ev.ratios;
+                break;
+            default:
+                break;
+        }
+    }
+
+    state.alreadyBidJobIds = [...alreadyBid];
+    return state;
+}
+
+module.exports = { writeJsonAtomic, readJson, quarantine, createJournal, replayEvents };
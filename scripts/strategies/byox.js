@@ -0,0 +1,49 @@
+const { termMatcher } = require('../text-tokens.js');
+
+/**
+ * BYOX elite strikes: only jobs that map onto a "Build-Your-Own-X" skill,
+ * bid at 40% of budget with a first-principles proposal
+ * (templates/proposals/byox.md). Formerly scripts/byox_striker.js.
+ */
+
+// Whole-token terms (text-tokens.js termMatcher): 'ai' must not match "email",
+// 'cli' "client" or 'store' "restore"; a trailing * matches word forms
+const BYOX_SKILLS = [
+    { terms: ['blockchain*', 'cryptocurrenc*', 'token', 'tokens', 'staking', 'consensus'], skill: 'Build-Your-Own-Blockchain' },
+    { terms: ['ai', 'llm*', 'rag', 'neural', 'inference', 'embedding*'], skill: 'Build-Your-Own-AI' },
+    { terms: ['database*', 'redis', 'key-value', 'sql', 'data store', 'datastore'], skill: 'Build-Your-Own-Database' },
+    { terms: ['bot', 'bots', 'discord', 'telegram', 'slack', 'automation', 'cli'], skill: 'Build-Your-Own-Bot/CLI' },
+    { terms: ['search', 'scraper*', 'scraping', 'indexing', 'indexer', 'tf-idf', 'vector*'], skill: 'Build-Your-Own-Search-Engine' },
+];
+
+function matchSkill(job) {
+    const has = termMatcher(`${job.title || ''}\n${job.description || ''}`);
+    return BYOX_SKILLS.find(m => m.terms.some(has)) || null;
+}
+
+module.exports = {
+    name: 'byox',
+    description: 'BYOX elite strikes at 40% of budget on jobs matching a Build-Your-Own-X skill',
+    maxBidsPerCycle: 5,
+
+    select(jobs) {
+        return jobs.filter(job => matchSkill(job));
+    },
+
+    price(job) {
+        const budget = parseFloat(job.budget_amount || 1.0);
+        const amount = (budget * 0.4).toFixed(2); // Aggressive pricing
+        return { amount, reason: `BYOX: 40% of budget ${budget} = ${amount} NEAR` };
+    },
+
+    proposal(job, { renderProposal }) {
+        const match = matchSkill(job);
+        return renderProposal('byox', { skill: match ? match.skill : null });
+    },
+
+    eta() {
+        return 172800;
+    },
+
+    matchSkill,
+};
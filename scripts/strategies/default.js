@@ -0,0 +1,81 @@
+const { DEFAULT_PRICING } = require('../bid-analytics.js');
+const { requesterPremium } = require('../requester-store.js');
+
+/**
+ * The engine's own strategy: category-weighted pricing, scaled by the
+ * aggressive / conservative `bidStrategy` switch, with the job-specific
+ * PROBLEM / METHODOLOGY / DELIVERABLE proposal.
+ *
+ * With `pricing.mode: 'adaptive'` a category that has enough resolved bids
+ * is priced at its learned ratio (see bid-analytics.js) instead. Requesters
+ * who often send work back or have disputed pay a premium (requester-store.js).
+ */
+
+// Higher-value categories can bid a larger share of the budget
+const CATEGORY_RATIOS = {
+    'security': 0.55,       // security audits are high-value
+    'smart-contract': 0.50, // contract work is specialized
+    'analytics': 0.45,      // dashboards take effort
+    'backend': 0.45,
+    'data': 0.40,
+    'bot': 0.40,
+    'frontend': 0.40,
+    'documentation': 0.35,
+    'testing': 0.35,
+    'general': 0.40,
+};
+
+const STYLE_FACTORS = { aggressive: 0.75, conservative: 1.35 };
+
+/**
+ * The non-adaptive bid/budget ratio for a category under a `bidStrategy` style.
+ */
+function staticRatio(category, bidStrategy) {
+    return (CATEGORY_RATIOS[category] || 0.40) * (STYLE_FACTORS[bidStrategy] || 1);
+}
+
+module.exports = {
+    name: 'default',
+    description: 'Category-weighted pricing with job-specific proposals',
+
+    select(jobs) {
+        return jobs;
+    },
+
+    price(job, { category, config, adaptiveRatios = {}, requester = null }) {
+        const budget = parseFloat(job.budget_amount || 0);
+        if (budget <= 0) return { amount: '0.80', reason: 'no budget listed: flat 0.80 NEAR' };
+
+        const pricing = { ...DEFAULT_PRICING, ...config.pricing };
+        const learned = pricing.mode === 'adaptive' ? adaptiveRatios[category] : null;
+        let ratio;
+        let reason;
+        if (learned) {
+            ratio = learned.ratio;
+            reason = `${category}: adaptive ratio ${ratio} (moving toward ${learned.target}, est. P(win) ${learned.winProb} from ${learned.samples} bids; floor ${pricing.floor}, ceiling ${pricing.ceiling})`;
+        } else {
+            ratio = staticRatio(category, config.bidStrategy);
+            reason = `${category}: static ratio ${CATEGORY_RATIOS[category] || 0.40} × ${config.bidStrategy} ${STYLE_FACTORS[config.bidStrategy] || 1}`;
+            if (pricing.mode === 'adaptive') reason += ` (fewer than ${pricing.minSamples} resolved bids)`;
+        }
+
+        const premium = requesterPremium(requester);
+        if (premium.factor !== 1) {
+            ratio *= premium.factor;
+            reason += ` × requester ${premium.factor.toFixed(2)} (${premium.reasons.join(', ')})`;
+        }
+
+        const amount = Math.max(budget * ratio, 0.1).toFixed(2);
+        return { amount, reason: `${reason} × budget ${budget} = ${amount} NEAR` };
+    },
+
+    proposal(job, { category, requester, writeProposal }) {
+        return writeProposal(job, category, { requester });
+    },
+
+    eta() {
+        return 86400;
+    },
+
+    staticRatio,
+};
@@ -0,0 +1,66 @@
+/**
+ * Bidding strategy registry.
+ *
+ * A strategy decides which discovered jobs to bid on and how. earningLoop
+ * loads one by name (`strategy` in config.json, or `--strategy=` on the
+ * command line) and calls, per cycle:
+ *
+ *   select(jobs, ctx)    → the jobs worth bidding on, in priority order
+ *   price(job, ctx)      → bid amount in NEAR as a string with 2 decimals, or
+ *                          { amount, reason } to explain how it was chosen
+ *   proposal(job, ctx)   → proposal text, or { text, version } when rendered
+ *                          from a template (the version is recorded on the bid);
+ *                          may return a promise
+ *   eta(job, ctx)        → eta_seconds
+ *
+ * `ctx` carries { config, category, adaptiveRatios, requester } plus
+ * `writeProposal(job, category, { requester })`, the engine's job-specific proposal writer (async), and
+ * `renderProposal(name, extra)`, which renders templates/proposals/<name>.md for this job. `requester` is the
+ * requester's profile from requester-store.js, or null for someone new. A strategy may also declare
+ * `maxBidsPerCycle`; config.json's `maxBidsPerCycle` overrides it.
+ */
+
+const STRATEGIES = {
+    default: require('./default.js'),
+    byox: require('./byox.js'),
+    undercut: require('./undercut.js'),
+};
+
+const REQUIRED_HOOKS = ['select', 'price', 'proposal', 'eta'];
+
+function loadStrategy(name = 'default') {
+    const strategy = STRATEGIES[name];
+    if (!strategy) {
+        throw new Error(`Unknown bidding strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+    const missing = REQUIRED_HOOKS.filter(hook => typeof strategy[hook] !== 'function');
+    if (missing.length) throw new Error(`Strategy "${name}" is missing ${missing.join(', ')}`);
+    return strategy;
+}
+
+/**
+ * Per-cycle bid cap: the config override, else the strategy's own cap, else
+ * only the capacity slots limit it.
+ */
+function bidsPerCycle(strategy, config, slots) {
+    const cap = config.maxBidsPerCycle ?? strategy.maxBidsPerCycle ?? Infinity;
+    return Math.min(slots, cap);
+}
+
+/**
+ * Normalize a strategy's price() result to { amount, reason }.
+ */
+function priceQuote(result) {
+    if (result && typeof result === 'object') return { amount: String(result.amount), reason: result.reason || null };
+    return { amount: String(result), reason: null };
+}
+
+/**
+ * Normalize a strategy's proposal() result to { text, version }.
+ */
+function proposalDraft(result) {
+    if (result && typeof result === 'object') return { text: String(result.text), version: result.version || null };
+    return { text: String(result), version: null };
+}
+
+module.exports = { STRATEGIES, loadStrategy, bidsPerCycle, priceQuote, proposalDraft };
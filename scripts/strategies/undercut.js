@@ -0,0 +1,33 @@
+/**
+ * Reputation breakout: undercut every job at 5% of budget, clamped to
+ * 0.10–0.40 NEAR, to win reviews quickly (proposal: templates/proposals/undercut.md).
+ * Formerly scripts/undercut_bidding.js.
+ */
+
+function lowPrice(job) {
+    const budget = parseFloat(job.budget_amount || 0);
+    return Math.max(0.1, Math.min(0.4, budget * 0.05)).toFixed(2);
+}
+
+module.exports = {
+    name: 'undercut',
+    description: 'Reputation breakout bids at 0.10–0.40 NEAR',
+    maxBidsPerCycle: 10,
+
+    select(jobs) {
+        return jobs;
+    },
+
+    price(job) {
+        const amount = lowPrice(job);
+        return { amount, reason: `undercut: 5% of budget ${job.budget_amount || 0}, clamped to 0.10–0.40 = ${amount} NEAR` };
+    },
+
+    proposal(job, { renderProposal }) {
+        return renderProposal('undercut', { amount: lowPrice(job) });
+    },
+
+    eta() {
+        return 86400;
+    },
+};
@@ -0,0 +1,88 @@
+/**
+ * Tokenizer shared by the job classifier, the keyword-rule categorizer and
+ * keyword extraction. STOPWORDS is also the filler list for job fingerprints
+ * and requirement evidence.
+ *
+ * Matching whole tokens instead of substrings keeps 'go' out of "good",
+ * 'eth' out of "method" and 'ui' out of "build". Tokens keep the
+ * punctuation that is part of technical names (next.js, near-sdk, c++, c#).
+ */
+
+const STOPWORDS = new Set([
+    'a', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'each',
+    'every', 'etc', 'for', 'from', 'has', 'have', 'how', 'i', 'in', 'into', 'is', 'it', 'its',
+    'me', 'my', 'of', 'on', 'or', 'our', 'per', 'shall', 'should', 'so', 'that', 'the', 'their',
+    'them', 'they', 'this', 'to', 'us', 'via', 'we', 'what', 'when', 'where', 'which', 'will',
+    'with', 'you', 'your',
+    // Requirement phrasing: says that something is wanted, not what it is
+    'able', 'based', 'clear', 'file', 'files', 'good', 'include', 'includes', 'like', 'make',
+    'must', 'need', 'needs', 'new', 'proper', 'provide', 'required', 'simple', 'support', 'use',
+    'using', 'well', 'work', 'works',
+]);
+
+/**
+ * Tokens with their position in `text`: { token (lowercased), raw, start, end }.
+ * `text.slice(start, end)` is the token as the author wrote it.
+ */
+function tokenizeWithSpans(text) {
+    const source = String(text || '');
+    const spans = [];
+    const re = /[A-Za-z0-9+#.\-_]+/g;
+    let m;
+    while ((m = re.exec(source)) !== null) {
+        // Sentence punctuation and list dashes are not part of a token
+        const lead = m[0].match(/^[.\-_]*/)[0].length;
+        const raw = m[0].slice(lead).replace(/[.\-_]+$/, '');
+        if (!raw) continue;
+        const start = m.index + lead;
+        spans.push({ token: raw.toLowerCase(), raw, start, end: start + raw.length });
+    }
+    return spans;
+}
+
+/**
+ * Lowercased tokens in order of appearance.
+ */
+function tokenize(text) {
+    return tokenizeWithSpans(text).map(t => t.token);
+}
+
+/**
+ * Adjacent token pairs joined by a space ("smart contract").
+ */
+function bigrams(tokens) {
+    const pairs = [];
+    for (let i = 0; i + 1 < tokens.length; i++) pairs.push(`${tokens[i]} ${tokens[i + 1]}`);
+    return pairs;
+}
+
+/**
+ * A `has(term)` test over the tokens of `text`. A term matches whole tokens
+ * only; several words match consecutive tokens ("smart contract") and a
+ * trailing `*` lets the last word match any token it starts
+ * ("vulnerabilit*" matches "vulnerability" and "vulnerabilities").
+ */
+function termMatcher(text) {
+    const tokens = tokenize(text);
+    const present = new Set(tokens);
+    return (term) => {
+        const stem = term.endsWith('*');
+        const words = tokenize(stem ? term.slice(0, -1) : term);
+        if (words.length === 0) return false;
+        if (words.length === 1 && !stem) return present.has(words[0]);
+        const last = words.length - 1;
+        for (let i = 0; i + words.length <= tokens.length; i++) {
+            if (words.every((w, j) => (stem && j === last ? tokens[i + j].startsWith(w) : tokens[i + j] === w))) return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * The text a job is judged by: title, description and tags, one per line.
+ */
+function jobText(job) {
+    return [job.title, job.description, ...(job.tags || [])].filter(Boolean).join('\n');
+}
+
+module.exports = { STOPWORDS, tokenize, tokenizeWithSpans, bigrams, termMatcher, jobText };
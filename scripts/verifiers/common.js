@@ -0,0 +1,49 @@
+const path = require('path');
+
+/**
+ * Helpers shared by the verifier plugins in this directory.
+ */
+
+/**
+ * Directories holding a file with one of `names`, outermost first, without
+ * roots nested inside another (a workspace member belongs to its workspace).
+ */
+function rootsWith(files, names) {
+    const dirs = [...new Set(files
+        .filter(f => names.includes(path.posix.basename(f.path)))
+        .map(f => path.posix.dirname(f.path).replace(/^\.$/, '')))]
+        .sort((a, b) => a.length - b.length);
+    return dirs.filter((dir, i) => !dirs.slice(0, i).some(outer => outer === '' || dir.startsWith(`${outer}/`)));
+}
+
+function fileAt(files, root, name) {
+    return files.find(f => f.path === (root ? `${root}/${name}` : name)) || null;
+}
+
+function jsonAt(files, root, name) {
+    const file = fileAt(files, root, name);
+    if (!file) return null;
+    try {
+        return JSON.parse(file.content);
+    } catch (e) {
+        return null;
+    }
+}
+
+function filesUnder(files, root) {
+    return root ? files.filter(f => f.path.startsWith(`${root}/`)) : files;
+}
+
+/**
+ * Failures from `output` matched line by line against `patterns`
+ * ({ re, map(match) → { file, line, message } }).
+ */
+function matchFailures(output, patterns) {
+    const failures = [];
+    for (const { re, map } of patterns) {
+        for (const m of output.matchAll(re)) failures.push(map(m));
+    }
+    return failures;
+}
+
+module.exports = { rootsWith, fileAt, jsonAt, filesUnder, matchFailures };
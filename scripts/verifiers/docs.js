@@ -0,0 +1,56 @@
+/**
+ * Static documentation (Markdown): relative links and images must point at
+ * delivered files, and code fences must be closed. Runs on any delivery with
+ * Markdown files, code or not.
+ */
+
+const path = require('path');
+const { flagContent } = require('../file-manifest.js');
+
+const LINK = /!?\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+function brokenLinks(files) {
+    const paths = new Set(files.map(f => f.path));
+    const dirs = new Set(files.flatMap(f => f.path.split('/').slice(0, -1).map((_, i, parts) => parts.slice(0, i + 1).join('/'))));
+    const failures = [];
+    for (const file of files.filter(f => /\.mdx?$/i.test(f.path))) {
+        file.content.split('\n').forEach((line, i) => {
+            for (const m of line.matchAll(LINK)) {
+                const target = m[1].split('#')[0];
+                if (!target || /^[a-z][\w+.-]*:/i.test(target) || target.startsWith('/')) continue;
+                let decoded = target;
+                try {
+                    decoded = decodeURI(target);
+                } catch (e) { /* keep it as written */ }
+                const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(file.path), decoded)).replace(/\/$/, '');
+                if (!paths.has(resolved) && !dirs.has(resolved)) {
+                    failures.push({ file: file.path, line: i + 1, message: `link to missing file "${m[1]}"` });
+                }
+            }
+        });
+    }
+    return failures;
+}
+
+function unclosedFences(files) {
+    return flagContent(files.filter(f => /\.mdx?$/i.test(f.path)))
+        .filter(flag => flag.line === null)
+        .map(flag => ({ file: flag.path, line: null, message: flag.problem }));
+}
+
+module.exports = {
+    name: 'docs',
+    description: 'Markdown: relative links resolve, code fences are closed',
+
+    detect(files) {
+        return files.some(f => /\.mdx?$/i.test(f.path)) ? [''] : [];
+    },
+
+    steps() {
+        return [{ name: 'lint', check: files => [...brokenLinks(files), ...unclosedFences(files)] }];
+    },
+
+    parseFailures() {
+        return [];
+    },
+};
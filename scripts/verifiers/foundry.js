@@ -0,0 +1,37 @@
+/**
+ * Solidity projects built with Foundry: forge-std when the sources import
+ * it, forge build, forge test.
+ */
+
+const { rootsWith, filesUnder, matchFailures } = require('./common.js');
+
+const FORGE_FAILURES = [
+    // Error (7576): Undeclared identifier.
+    //   --> src/Counter.sol:10:9:
+    { re: /^Error(?: \(\d+\))?: (.+)\n\s*--> ([^\s:]+):(\d+)/gm, map: m => ({ file: m[2], line: Number(m[3]), message: m[1] }) },
+    { re: /^\[FAIL[.:]?\s*([^\]]*)\] (\w+)\(/gm, map: m => ({ file: null, line: null, message: `${m[2]} failed${m[1] ? `: ${m[1]}` : ''}` }) },
+];
+
+module.exports = {
+    name: 'foundry',
+    description: 'forge install forge-std (if imported), forge build, forge test',
+
+    detect(files) {
+        return rootsWith(files, ['foundry.toml']);
+    },
+
+    steps(root, files) {
+        const steps = [];
+        if (filesUnder(files, root).some(f => f.path.endsWith('.sol') && f.content.includes('forge-std/'))) {
+            steps.push({ name: 'install', command: 'forge', args: ['install', 'foundry-rs/forge-std', '--no-git'], timeout: 180000, network: true });
+        }
+        // forge downloads the solc release the sources pin on first build
+        steps.push({ name: 'build', command: 'forge', args: ['build'], timeout: 300000, network: true });
+        steps.push({ name: 'test', command: 'forge', args: ['test'], timeout: 300000 });
+        return steps;
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, FORGE_FAILURES);
+    },
+};
@@ -0,0 +1,35 @@
+/**
+ * Go modules: download dependencies, build, vet and test every package.
+ */
+
+const { rootsWith, matchFailures } = require('./common.js');
+
+// Never fetch a newer toolchain because go.mod asks for one
+const GO_ENV = { GOTOOLCHAIN: 'local', GOFLAGS: '-mod=mod' };
+
+const GO_FAILURES = [
+    { re: /^(?:\.\/)?([^\s:]+\.go):(\d+)(?::\d+)?: (.*)$/gm, map: m => ({ file: m[1], line: Number(m[2]), message: m[3] }) },
+    { re: /^\s*--- FAIL: (\S+)/gm, map: m => ({ file: null, line: null, message: `${m[1]} failed` }) },
+];
+
+module.exports = {
+    name: 'go',
+    description: 'go mod download, go build, go vet, go test',
+
+    detect(files) {
+        return rootsWith(files, ['go.mod']);
+    },
+
+    steps() {
+        return [
+            { name: 'install', command: 'go', args: ['mod', 'download'], timeout: 180000, network: true, env: GO_ENV },
+            { name: 'build', command: 'go', args: ['build', './...'], timeout: 180000, env: GO_ENV },
+            { name: 'lint', command: 'go', args: ['vet', './...'], timeout: 120000, env: GO_ENV },
+            { name: 'test', command: 'go', args: ['test', './...'], timeout: 300000, env: GO_ENV },
+        ];
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, GO_FAILURES);
+    },
+};
@@ -0,0 +1,179 @@
+const { filesUnder } = require('./common.js');
+
+/**
+ * Toolchain verifier registry.
+ *
+ * A verifier checks one kind of project in the generated files. doRealWork
+ * runs every verifier that detects something (a mixed Rust + TypeScript
+ * repo gets both) and sends their failures through the AI fix loop.
+ *
+ *   name, description
+ *   detect(files)            → project roots ('' or a subdirectory) this
+ *                              verifier applies to; files are { path, content }
+ *   steps(root, files)       → the checks to run there, in order:
+ *                              { name: 'install' | 'lint' | 'build' | 'test',
+ *                                command, args, timeout?, env?,
+ *                                network? (install steps keep network access),
+ *                                unavailable? (output pattern meaning the tool
+ *                                is not installed, e.g. "No module named pytest") }
+ *                              or { name, check(files) → failures } for checks
+ *                              that need no toolchain
+ *   parseFailures(output)    → [{ file, line, message }] from a failed step
+ *   supersedes               → optional names of verifiers whose roots this
+ *                              one takes over (TypeScript over Node)
+ *
+ * Failed install steps are not sent to the model (they are usually the
+ * registry or the network); every other failure is. A step whose tool is
+ * not installed here is skipped.
+ */
+
+const VERIFIERS = {
+    node: require('./node.js'),
+    typescript: require('./typescript.js'),
+    'near-sdk-js': require('./near-sdk-js.js'),
+    python: require('./python.js'),
+    rust: require('./rust.js'),
+    go: require('./go.js'),
+    foundry: require('./foundry.js'),
+    docs: require('./docs.js'),
+};
+
+const REQUIRED_HOOKS = ['detect', 'steps', 'parseFailures'];
+const BUILD_STEPS = ['install', 'lint', 'build'];
+
+function loadVerifiers(disabled = []) {
+    for (const name of disabled) {
+        if (!VERIFIERS[name]) throw new Error(`Unknown verifier "${name}" (available: ${Object.keys(VERIFIERS).join(', ')})`);
+    }
+    return Object.entries(VERIFIERS)
+        .filter(([name]) => !disabled.includes(name))
+        .map(([name, verifier]) => {
+            const missing = REQUIRED_HOOKS.filter(hook => typeof verifier[hook] !== 'function');
+            if (missing.length) throw new Error(`Verifier "${name}" is missing ${missing.join(', ')}`);
+            return verifier;
+        });
+}
+
+/**
+ * Projects to verify: each detected root, minus the roots a superseding
+ * verifier claimed.
+ * @returns {{ verifier, root: string }[]}
+ */
+function detectProjects(files, verifiers) {
+    const projects = verifiers.flatMap(verifier => verifier.detect(files).map(root => ({ verifier, root })));
+    return projects.filter(({ verifier, root }) => !projects.some(other =>
+        other.root === root && (other.verifier.supersedes || []).includes(verifier.name)));
+}
+
+function formatFailures(failed) {
+    return failed.map(({ project, step, failures, output }) => {
+        const where = project.root ? ` in ${project.root}/` : '';
+        const head = `[${project.verifier.name}] ${step.name} failed${where}${step.command ? ` (${[step.command, ...step.args].join(' ')})` : ''}:`;
+        const body = failures.length
+            ? failures.slice(0, 15).map(f => `${f.file ? `${f.file}${f.line ? `:${f.line}` : ''}: ` : ''}${f.message}`).join('\n')
+            : output.trim().split('\n').slice(-15).join('\n');
+        return `${head}\n${body}`;
+    }).join('\n\n');
+}
+
+/**
+ * Run the checks of one project, stopping at its first failing step.
+ * @returns {{ steps: object, failed: object|null }}
+ */
+async function verifyProject(project, box, files, log) {
+    const { verifier, root } = project;
+    const steps = {};
+    for (const step of verifier.steps(root, files)) {
+        let ok;
+        let output = '';
+        let failures = [];
+        if (step.check) {
+            failures = step.check(filesUnder(files, root));
+            ok = failures.length === 0;
+        } else {
+            const result = await box.run(step.command, step.args, {
+                cwd: root, timeout: step.timeout || 120000, network: !!step.network, env: step.env,
+            });
+            if (!result.ok && (result.notFound || (step.unavailable && step.unavailable.test(result.output)))) {
+                log(`   ⏭️ ${verifier.name} ${step.name} skipped: ${step.command} is not available`);
+                steps[step.name] = 'skipped';
+                continue;
+            }
+            ok = result.ok;
+            output = result.output;
+            // Tools report paths relative to the project root; the model needs them from the top
+            if (!ok) failures = verifier.parseFailures(output).map(f => ({ ...f, file: f.file && root ? `${root}/${f.file}` : f.file }));
+        }
+        steps[step.name] = ok ? 'passed' : 'failed';
+        if (ok) {
+            log(`   ✅ ${verifier.name} ${step.name} passed${root ? ` (${root}/)` : ''}`);
+            continue;
+        }
+        log(`   ⚠️ ${verifier.name} ${step.name} failed${root ? ` (${root}/)` : ''}${failures.length ? `: ${failures.length} problem(s)` : ''}`);
+        return { steps, failed: { project, step, failures, output } };
+    }
+    return { steps, failed: null };
+}
+
+/**
+ * Verify every detected project, sending failures back through `fix` until
+ * they pass or maxFixAttempts fixes are spent.
+ *
+ * @param {object[]} files - { path, content }
+ * @param {object} opts
+ * @param {object[]} opts.verifiers - from loadVerifiers()
+ * @param {function} opts.sandbox - () → a fresh sandbox (sandbox.js) of the work dir
+ * @param {function|null} opts.fix - async (failType, report, files) → files; null to only report
+ * @param {number} [opts.maxFixAttempts]
+ * @param {function} [opts.log]
+ * @returns {Promise<{ files, results: { build, tests, projects } }>}
+ *   build / tests: 'passed' | 'failed' | 'skipped' across all projects
+ */
+async function runVerifiers(files, { verifiers, sandbox, fix, maxFixAttempts = 2, log = () => {} }) {
+    let projects = [];
+    let report = [];
+    for (let attempt = 0; attempt <= maxFixAttempts; attempt++) {
+        projects = detectProjects(files, verifiers);
+        if (projects.length === 0) break;
+        if (attempt === 0) log(`   🔧 Verifying: ${projects.map(p => `${p.verifier.name}${p.root ? ` (${p.root}/)` : ''}`).join(', ')}`);
+
+        const box = sandbox();
+        const failed = [];
+        try {
+            report = [];
+            for (const project of projects) {
+                const { steps, failed: failure } = await verifyProject(project, box, files, log);
+                report.push({ verifier: project.verifier.name, root: project.root, steps });
+                if (failure) failed.push(failure);
+            }
+        } finally {
+            box.dispose();
+        }
+
+        const fixable = failed.filter(f => f.step.name !== 'install');
+        if (fixable.length === 0) break;
+        if (attempt < maxFixAttempts && fix) {
+            log(`   🔁 Fix attempt ${attempt + 1}/${maxFixAttempts}`);
+            const failType = [...new Set(fixable.map(f => `${f.project.verifier.name} ${f.step.name}`))].join(', ');
+            files = await fix(failType, formatFailures(fixable), files);
+            continue;
+        }
+        log(`   ⚠️ Still failing (${fixable.map(f => `${f.project.verifier.name} ${f.step.name}`).join(', ')}), submitting anyway`);
+        break;
+    }
+
+    const statuses = names => report.flatMap(p => Object.entries(p.steps).filter(([name]) => names.includes(name)).map(([, s]) => s));
+    const overall = list => (list.includes('failed') ? 'failed' : list.includes('passed') ? 'passed' : 'skipped');
+    return {
+        files,
+        results: { build: overall(statuses(BUILD_STEPS)), tests: overall(statuses(['test'])), projects: report },
+    };
+}
+
+module.exports = {
+    VERIFIERS,
+    loadVerifiers,
+    detectProjects,
+    runVerifiers,
+    formatFailures,
+};
@@ -0,0 +1,39 @@
+/**
+ * NEAR smart contracts written with near-sdk-js: the contract must compile
+ * to wasm, then the package's tests (near-workspaces) run.
+ */
+
+const node = require('./node.js');
+const { rootsWith, jsonAt, filesUnder, matchFailures } = require('./common.js');
+
+function usesSdk(pkg) {
+    return !!pkg && ['dependencies', 'devDependencies'].some(key => pkg[key] && pkg[key]['near-sdk-js']);
+}
+
+module.exports = {
+    name: 'near-sdk-js',
+    description: 'npm install, near-sdk-js contract build to wasm, then tests',
+    supersedes: ['node', 'typescript'],
+
+    detect(files) {
+        return rootsWith(files, ['package.json']).filter(root => usesSdk(jsonAt(files, root, 'package.json')));
+    },
+
+    steps(root, files) {
+        const pkg = jsonAt(files, root, 'package.json');
+        const steps = node.scriptSteps(pkg);
+        if (!steps.some(s => s.name === 'build')) {
+            // The contract is the source file declaring @NearBindgen
+            const contract = filesUnder(files, root).find(f => /\.[jt]s$/.test(f.path) && f.content.includes('@NearBindgen'));
+            if (contract) {
+                const entry = root ? contract.path.slice(root.length + 1) : contract.path;
+                steps.unshift({ name: 'build', command: 'npx', args: ['--no-install', 'near-sdk-js', 'build', entry, 'build/contract.wasm'], timeout: 180000 });
+            }
+        }
+        return [{ name: 'install', command: 'npm', args: ['install', '--ignore-scripts'], timeout: 180000, network: true }, ...steps];
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, node.JS_FAILURES);
+    },
+};
@@ -0,0 +1,48 @@
+/**
+ * Node.js packages: npm install, then whichever of the lint, build and test
+ * scripts package.json defines.
+ */
+
+const { rootsWith, jsonAt, matchFailures } = require('./common.js');
+
+// `npm init`'s placeholder test script fails by design
+const NO_TEST = /no test specified/;
+
+function scriptSteps(pkg) {
+    const scripts = (pkg && pkg.scripts) || {};
+    const steps = [];
+    if (scripts.lint) steps.push({ name: 'lint', command: 'npm', args: ['run', 'lint'], timeout: 60000 });
+    if (scripts.build) steps.push({ name: 'build', command: 'npm', args: ['run', 'build'], timeout: 60000 });
+    if (scripts.test && !NO_TEST.test(scripts.test)) steps.push({ name: 'test', command: 'npm', args: ['test'], timeout: 60000 });
+    return steps;
+}
+
+const JS_FAILURES = [
+    // Stack frames and compiler-style "file:line:col" locations
+    { re: /^\s*(?:at .*\()?((?:[\w@.-]+\/)*[\w.-]+\.[cm]?[jt]sx?):(\d+)(?::\d+)?\)?\s*(.*)$/gm, map: m => ({ file: m[1], line: Number(m[2]), message: m[3] || 'error here' }) },
+    // node:test / TAP, Jest and Mocha failure headings
+    { re: /^\s*(?:not ok \d+ - |✖ |● |\d+\) )(.+)$/gm, map: m => ({ file: null, line: null, message: `failed: ${m[1].trim()}` }) },
+    { re: /^\s*((?:Type|Reference|Syntax|Range|Assertion)Error(?: \[\w+\])?:.*)$/gm, map: m => ({ file: null, line: null, message: m[1].trim() }) },
+];
+
+module.exports = {
+    name: 'node',
+    description: 'npm install, then the package\'s lint, build and test scripts',
+    scriptSteps,
+    JS_FAILURES,
+
+    detect(files) {
+        return rootsWith(files, ['package.json']);
+    },
+
+    steps(root, files) {
+        return [
+            { name: 'install', command: 'npm', args: ['install', '--ignore-scripts'], timeout: 120000, network: true },
+            ...scriptSteps(jsonAt(files, root, 'package.json')),
+        ];
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, JS_FAILURES);
+    },
+};
@@ -0,0 +1,48 @@
+/**
+ * Python projects: dependencies into a local .pydeps directory, a syntax
+ * check of every module, then pytest when there are tests.
+ */
+
+const path = require('path');
+const { rootsWith, fileAt, filesUnder, matchFailures } = require('./common.js');
+
+const DEPS_DIR = '.pydeps';
+const TEST_FILE = /(^|\/)(test_[^/]*|[^/]*_test)\.py$|(^|\/)tests?\//;
+
+const PY_FAILURES = [
+    { re: /File "(?:\.\/)?([^"]+\.py)", line (\d+)[^\n]*\n(?:.*\n)*?(\w+(?:Error|Exception)\b.*)$/gm, map: m => ({ file: m[1], line: Number(m[2]), message: m[3] }) },
+    { re: /^(?:FAILED|ERROR) ([^\s:]+\.py)::(\S+)(?: - (.*))?$/gm, map: m => ({ file: m[1], line: null, message: `${m[2]} failed${m[3] ? `: ${m[3]}` : ''}` }) },
+    { re: /^([^\s:]+\.py):(\d+): (\w+(?:Error|Exception).*)$/gm, map: m => ({ file: m[1], line: Number(m[2]), message: m[3] }) },
+];
+
+module.exports = {
+    name: 'python',
+    description: 'pip install into .pydeps, py_compile every module, pytest',
+
+    detect(files) {
+        const roots = rootsWith(files, ['requirements.txt', 'pyproject.toml', 'setup.py']);
+        if (roots.length === 0 && files.some(f => f.path.endsWith('.py'))) return [''];
+        return roots;
+    },
+
+    steps(root, files) {
+        const own = filesUnder(files, root).map(f => (root ? f.path.slice(root.length + 1) : f.path));
+        const modules = own.filter(p => p.endsWith('.py'));
+        const env = { PYTHONPATH: [DEPS_DIR, '.'].join(path.delimiter) };
+        const steps = [];
+        if (fileAt(files, root, 'requirements.txt')) {
+            steps.push({ name: 'install', command: 'python', args: ['-m', 'pip', 'install', '--quiet', '--disable-pip-version-check', '--target', DEPS_DIR, '-r', 'requirements.txt'], timeout: 180000, network: true });
+        } else if (fileAt(files, root, 'pyproject.toml') || fileAt(files, root, 'setup.py')) {
+            steps.push({ name: 'install', command: 'python', args: ['-m', 'pip', 'install', '--quiet', '--disable-pip-version-check', '--target', DEPS_DIR, '.'], timeout: 180000, network: true });
+        }
+        if (modules.length) steps.push({ name: 'build', command: 'python', args: ['-m', 'py_compile', ...modules], timeout: 30000, env });
+        if (own.some(p => TEST_FILE.test(p))) {
+            steps.push({ name: 'test', command: 'python', args: ['-m', 'pytest', '-x', '-q'], timeout: 120000, env, unavailable: /No module named pytest/ });
+        }
+        return steps;
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, PY_FAILURES);
+    },
+};
@@ -0,0 +1,35 @@
+/**
+ * Cargo crates and workspaces: fetch dependencies, check every target, run
+ * the tests.
+ */
+
+const { rootsWith, matchFailures } = require('./common.js');
+
+const RUST_FAILURES = [
+    // error[E0425]: cannot find value `x` in this scope
+    //   --> src/main.rs:12:5
+    { re: /^(error(?:\[E\d+\])?: .+)\n\s*--> ([^\s:]+):(\d+):\d+/gm, map: m => ({ file: m[2], line: Number(m[3]), message: m[1] }) },
+    { re: /^thread '([^']+)' panicked at ([^\s:]+):(\d+):\d+:\n(.*)$/gm, map: m => ({ file: m[2], line: Number(m[3]), message: `${m[1]} panicked: ${m[4]}` }) },
+    { re: /^test (\S+) \.\.\. FAILED$/gm, map: m => ({ file: null, line: null, message: `test ${m[1]} failed` }) },
+];
+
+module.exports = {
+    name: 'rust',
+    description: 'cargo fetch, cargo check --all-targets, cargo test',
+
+    detect(files) {
+        return rootsWith(files, ['Cargo.toml']);
+    },
+
+    steps() {
+        return [
+            { name: 'install', command: 'cargo', args: ['fetch'], timeout: 300000, network: true },
+            { name: 'build', command: 'cargo', args: ['check', '--all-targets', '--offline'], timeout: 300000 },
+            { name: 'test', command: 'cargo', args: ['test', '--offline'], timeout: 600000 },
+        ];
+    },
+
+    parseFailures(output) {
+        return matchFailures(output, RUST_FAILURES);
+    },
+};
@@ -0,0 +1,36 @@
+/**
+ * TypeScript packages: like Node, but always type-checked. Without a build
+ * script the compiler runs with --noEmit.
+ */
+
+const node = require('./node.js');
+const { rootsWith, jsonAt, fileAt, matchFailures } = require('./common.js');
+
+const TSC_FAILURES = [
+    // src/a.ts(12,5): error TS2304: …  and  src/a.ts:12:5 - error TS2304: …
+    { re: /^((?:[\w@.-]+\/)*[\w.-]+\.tsx?)(?:\((\d+),\d+\)|:(\d+):\d+)\s*[:-]\s*error (TS\d+): (.*)$/gm, map: m => ({ file: m[1], line: Number(m[2] || m[3]), message: `${m[4]}: ${m[5]}` }) },
+];
+
+module.exports = {
+    name: 'typescript',
+    description: 'npm install, tsc type-check (or the build script), lint and tests',
+    supersedes: ['node'],
+
+    detect(files) {
+        return rootsWith(files, ['package.json']).filter(root => fileAt(files, root, 'tsconfig.json'));
+    },
+
+    steps(root, files) {
+        const pkg = jsonAt(files, root, 'package.json');
+        const steps = node.scriptSteps(pkg);
+        if (!steps.some(s => s.name === 'build')) {
+            steps.unshift({ name: 'build', command: 'npx', args: ['--no-install', 'tsc', '--noEmit'], timeout: 90000 });
+        }
+        return [{ name: 'install', command: 'npm', args: ['install', '--ignore-scripts'], timeout: 120000, network: true }, ...steps];
+    },
+
+    parseFailures(output) {
+        const tsc = matchFailures(output, TSC_FAILURES);
+        return tsc.length ? tsc : matchFailures(output, node.JS_FAILURES);
+    },
+};